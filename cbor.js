@@ -0,0 +1,440 @@
+// This module exports functions for encoding and decoding values as CBOR, the
+// Concise Binary Object Representation (RFC 8949). CBOR is like JSON, but
+// binary and more expressive.
+
+//  encode(value)
+//      Encodes a value, returning an ArrayBuffer. As well as any value that
+//      can be represented in JSON, the value may contain undefined, bigints,
+//      Dates, Maps, ArrayBuffers and typed arrays, nested to any depth. Other
+//      values, such as functions, cause an exception to be thrown.
+
+//  decode(buffer)
+//      Decodes an ArrayBuffer, returning the value. An exception is thrown if
+//      the buffer does not contain exactly one well-formed CBOR data item.
+
+// Dates are encoded as the number of seconds since the epoch (tag 1), bigints
+// as bignums (tags 2 and 3) and Maps as tag 259. Typed arrays are encoded with
+// the tags of RFC 8746. The elements of a typed array are sent in the sending
+// machine's byte order, which is recorded by the tag, so that they can usually
+// be copied wholesale.
+
+/*jslint browser, bitwise */
+
+import hex from "./hex.js";
+
+const little_endian = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+// The typed array constructors, along with their big-endian tags. For arrays
+// whose elements are wider than a byte, the little-endian tag is 4 more than
+// the big-endian tag.
+
+const typed_arrays = [
+    [Uint8Array, 64],
+    [Uint8ClampedArray, 68],
+    [Int8Array, 72],
+    [Uint16Array, 65],
+    [Uint32Array, 66],
+    [BigUint64Array, 67],
+    [Int16Array, 73],
+    [Int32Array, 74],
+    [BigInt64Array, 75],
+    [Float32Array, 81],
+    [Float64Array, 82]
+];
+
+function endianness_offset(constructor) {
+    return (
+        (constructor.BYTES_PER_ELEMENT > 1 && little_endian)
+        ? 4
+        : 0
+    );
+}
+
+function encode(value) {
+
+// The encoded parts are collected in an array, and joined at the end.
+
+    let parts = [];
+    let length = 0;
+
+    function write(bytes) {
+        parts.push(bytes);
+        length += bytes.byteLength;
+    }
+
+    function write_head(major_type, argument) {
+
+// Every data item begins with a head, containing its major type and an
+// argument. The argument is usually a length, and takes up as few bytes as
+// possible.
+
+        let bytes;
+        if (argument < 24) {
+            bytes = new Uint8Array([(major_type << 5) | argument]);
+        } else if (argument < 2 ** 8) {
+            bytes = new Uint8Array([(major_type << 5) | 24, argument]);
+        } else if (argument < 2 ** 16) {
+            bytes = new Uint8Array(3);
+            bytes[0] = (major_type << 5) | 25;
+            new DataView(bytes.buffer).setUint16(1, argument);
+        } else if (argument < 2 ** 32) {
+            bytes = new Uint8Array(5);
+            bytes[0] = (major_type << 5) | 26;
+            new DataView(bytes.buffer).setUint32(1, argument);
+        } else {
+            bytes = new Uint8Array(9);
+            bytes[0] = (major_type << 5) | 27;
+            const view = new DataView(bytes.buffer);
+            view.setUint32(1, Math.floor(argument / (2 ** 32)));
+            view.setUint32(5, argument % (2 ** 32));
+        }
+        write(bytes);
+    }
+
+    function write_float(number) {
+        let bytes = new Uint8Array(9);
+        bytes[0] = 0xfb;
+        new DataView(bytes.buffer).setFloat64(1, number);
+        write(bytes);
+    }
+
+    function write_bytes(bytes) {
+        write_head(2, bytes.byteLength);
+        write(bytes);
+    }
+
+    function write_item(item) {
+        if (item === undefined) {
+            return write(new Uint8Array([0xf7]));
+        }
+        if (item === null) {
+            return write(new Uint8Array([0xf6]));
+        }
+        if (item === false) {
+            return write(new Uint8Array([0xf4]));
+        }
+        if (item === true) {
+            return write(new Uint8Array([0xf5]));
+        }
+        if (typeof item === "number") {
+            if (Number.isSafeInteger(item) && !Object.is(item, -0)) {
+                return (
+                    item >= 0
+                    ? write_head(0, item)
+                    : write_head(1, -1 - item)
+                );
+            }
+            return write_float(item);
+        }
+        if (typeof item === "bigint") {
+
+// A bignum is a byte string containing the magnitude of the integer, tagged
+// with its sign.
+
+            const negative = item < 0n;
+            let magnitude = (
+                negative
+                ? -1n - item
+                : item
+            );
+            let magnitude_bytes = [];
+            while (magnitude > 0n) {
+                magnitude_bytes.unshift(Number(magnitude & 0xffn));
+                magnitude >>= 8n;
+            }
+            write_head(6, (
+                negative
+                ? 3
+                : 2
+            ));
+            return write_bytes(new Uint8Array(magnitude_bytes));
+        }
+        if (typeof item === "string") {
+            const bytes = new TextEncoder().encode(item);
+            write_head(3, bytes.byteLength);
+            return write(bytes);
+        }
+        if (Array.isArray(item)) {
+            write_head(4, item.length);
+            return Array.from(item).forEach(write_item);
+        }
+        if (item?.constructor === ArrayBuffer) {
+            return write_bytes(new Uint8Array(item));
+        }
+        if (ArrayBuffer.isView(item)) {
+            const entry = typed_arrays.find(function ([constructor]) {
+                return item.constructor === constructor;
+            });
+            if (entry === undefined) {
+                throw new TypeError("Unsupported view.");
+            }
+            const [constructor, tag] = entry;
+            write_head(6, tag + endianness_offset(constructor));
+            return write_bytes(new Uint8Array(
+                item.buffer,
+                item.byteOffset,
+                item.byteLength
+            ));
+        }
+        if (item.constructor === Date) {
+            write_head(6, 1);
+            return write_float(item.getTime() / 1000);
+        }
+        if (item.constructor === Map) {
+            write_head(6, 259);
+            write_head(5, item.size);
+            return item.forEach(function (map_value, map_key) {
+                write_item(map_key);
+                write_item(map_value);
+            });
+        }
+        if (typeof item === "object") {
+            const keys = Object.keys(item);
+            write_head(5, keys.length);
+            return keys.forEach(function (key) {
+                write_item(key);
+                write_item(item[key]);
+            });
+        }
+        throw new TypeError("Unsupported value.");
+    }
+
+    write_item(value);
+    let buffer = new Uint8Array(length);
+    let position = 0;
+    parts.forEach(function (bytes) {
+        buffer.set(bytes, position);
+        position += bytes.byteLength;
+    });
+    return buffer.buffer;
+}
+
+function decode_half(bits) {
+
+// Decode a half-precision float, which JavaScript has no native way to do.
+
+    const sign = (
+        (bits & 0x8000) !== 0
+        ? -1
+        : 1
+    );
+    const exponent = (bits >> 10) & 0x1f;
+    const fraction = bits & 0x3ff;
+    if (exponent === 0) {
+        return sign * fraction * 2 ** -24;
+    }
+    if (exponent === 31) {
+        return (
+            fraction === 0
+            ? sign * Infinity
+            : NaN
+        );
+    }
+    return sign * (1 + fraction / 1024) * 2 ** (exponent - 15);
+}
+
+function make_typed_array(tag, buffer) {
+
+// Reconstitute a typed array from the contents of a tagged byte string. If the
+// byte order of its elements differs from ours, the bytes of each element are
+// reversed.
+
+    const entry = typed_arrays.find(function ([constructor, big_tag]) {
+        return (
+            tag === big_tag
+            || (constructor.BYTES_PER_ELEMENT > 1 && tag === big_tag + 4)
+        );
+    });
+    if (entry === undefined) {
+        throw new Error("Unsupported typed array.");
+    }
+    const [Constructor, big_tag] = entry;
+    const width = Constructor.BYTES_PER_ELEMENT;
+    if (buffer.byteLength % width !== 0) {
+        throw new Error("Bad typed array.");
+    }
+    if ((tag - big_tag) !== endianness_offset(Constructor)) {
+        let bytes = new Uint8Array(buffer);
+        bytes.forEach(function (ignore, byte_nr) {
+            if (byte_nr % width === 0) {
+                bytes.subarray(byte_nr, byte_nr + width).reverse();
+            }
+        });
+    }
+    return new Constructor(buffer);
+}
+
+function decode(buffer) {
+    const view = new DataView(buffer);
+    let position = 0;
+
+    function read_uint(nr_bytes) {
+        let uint;
+        if (nr_bytes === 1) {
+            uint = view.getUint8(position);
+        } else if (nr_bytes === 2) {
+            uint = view.getUint16(position);
+        } else if (nr_bytes === 4) {
+            uint = view.getUint32(position);
+        } else {
+            uint = (
+                view.getUint32(position) * (2 ** 32)
+                + view.getUint32(position + 4)
+            );
+        }
+        position += nr_bytes;
+        return uint;
+    }
+
+    function read_bytes(nr_bytes) {
+        if (position + nr_bytes > buffer.byteLength) {
+            throw new Error("Unexpected end of CBOR.");
+        }
+        position += nr_bytes;
+        return buffer.slice(position - nr_bytes, position);
+    }
+
+    function read_head() {
+
+// Read the head of a data item, returning its major type and argument. For
+// major type 7, the argument is the additional information itself.
+
+        const initial = read_uint(1);
+        const major_type = initial >> 5;
+        const info = initial & 0x1f;
+        if (major_type === 7 || info < 24) {
+            return [major_type, info];
+        }
+        if (info > 27) {
+            throw new Error("Unsupported CBOR.");
+        }
+        return [major_type, read_uint(2 ** (info - 24))];
+    }
+
+    function read_item() {
+        const [major_type, argument] = read_head();
+        return read_content(major_type, argument);
+    }
+
+    function read_entries(nr_entries) {
+        let entries = [];
+        let entry_nr = 0;
+        while (entry_nr < nr_entries) {
+            entries.push([read_item(), read_item()]);
+            entry_nr += 1;
+        }
+        return entries;
+    }
+
+    function read_tagged(tag) {
+        if (tag === 259) {
+            const [major_type, nr_entries] = read_head();
+            if (major_type !== 5) {
+                throw new Error("Bad Map.");
+            }
+            return new Map(read_entries(nr_entries));
+        }
+        const item = read_item();
+        if (tag === 0) {
+            return new Date(item);
+        }
+        if (tag === 1) {
+            return new Date(Math.round(item * 1000));
+        }
+        if (tag === 2 || tag === 3) {
+            if (item?.constructor !== ArrayBuffer) {
+                throw new Error("Bad bignum.");
+            }
+            const magnitude = BigInt("0x0" + hex.encode(item));
+            return (
+                tag === 3
+                ? -1n - magnitude
+                : magnitude
+            );
+        }
+        if (tag >= 64 && tag <= 86) {
+            if (item?.constructor !== ArrayBuffer) {
+                throw new Error("Bad typed array.");
+            }
+            return make_typed_array(tag, item);
+        }
+
+// Unrecognized tags are ignored.
+
+        return item;
+    }
+
+    function read_content(major_type, argument) {
+        if (major_type === 0) {
+            return argument;
+        }
+        if (major_type === 1) {
+            return -1 - argument;
+        }
+        if (major_type === 2) {
+            return read_bytes(argument);
+        }
+        if (major_type === 3) {
+            return new TextDecoder().decode(read_bytes(argument));
+        }
+        if (major_type === 4) {
+            let array = [];
+            while (array.length < argument) {
+                array.push(read_item());
+            }
+            return array;
+        }
+        if (major_type === 5) {
+
+// A map is decoded as an object if all of its keys are strings, otherwise as a
+// Map.
+
+            const entries = read_entries(argument);
+            return (
+                entries.every(function ([key]) {
+                    return typeof key === "string";
+                })
+                ? Object.fromEntries(entries)
+                : new Map(entries)
+            );
+        }
+        if (major_type === 6) {
+            return read_tagged(argument);
+        }
+
+// Major type 7 holds the simple values and floats.
+
+        if (argument === 20) {
+            return false;
+        }
+        if (argument === 21) {
+            return true;
+        }
+        if (argument === 22) {
+            return null;
+        }
+        if (argument === 23) {
+            return undefined;
+        }
+        if (argument === 25) {
+            return decode_half(read_uint(2));
+        }
+        if (argument === 26) {
+            position += 4;
+            return view.getFloat32(position - 4);
+        }
+        if (argument === 27) {
+            position += 8;
+            return view.getFloat64(position - 8);
+        }
+        throw new Error("Unsupported CBOR.");
+    }
+
+    const value = read_item();
+    if (position !== buffer.byteLength) {
+        throw new Error("Unexpected bytes after CBOR.");
+    }
+    return value;
+}
+
+export default Object.freeze({encode, decode});
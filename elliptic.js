@@ -3,8 +3,9 @@
 // Protocol specification. A 521 bit elliptic curve key is said to be
 // equivalent in strength to a 256 bit AES key.
 
-// The exported constructor function takes as a single parameter the WebCrypto
-// object. It returns an object containing the following methods:
+// The exported constructor function takes as a parameter the WebCrypto object,
+// and optionally the name of a different curve for keys that are not bound by
+// the specification. It returns an object containing the following methods:
 
 //  generate_keypair()
 //      Generates a new public/private keypair. The strength of the keypair is
@@ -31,13 +32,13 @@
 const keysize = 521;
 const curve = "P-" + keysize;
 
-function make_elliptic(webcrypto = window.crypto) {
+function make_elliptic(webcrypto = window.crypto, named_curve = curve) {
 
     function generate_keypair() {
         return webcrypto.subtle.generateKey(
             {
                 name: "ECDH",
-                namedCurve: curve
+                namedCurve: named_curve
             },
             true,
             ["deriveKey", "deriveBits"]
@@ -50,7 +51,7 @@ function make_elliptic(webcrypto = window.crypto) {
             buffer,
             {
                 name: "ECDH",
-                namedCurve: curve
+                namedCurve: named_curve
             },
             true,
             []
@@ -63,7 +64,7 @@ function make_elliptic(webcrypto = window.crypto) {
             buffer,
             {
                 name: "ECDH",
-                namedCurve: curve
+                namedCurve: named_curve
             },
             extractable,
             ["deriveKey", "deriveBits"]
@@ -0,0 +1,298 @@
+// This module exports functions that make outboxes and inboxes, with which a
+// party delivers messages exactly once, despite failed connections and
+// restarts.
+
+//  make_outbox(outbox_store, petname, webcrypto)
+//      Makes an outbox for messages sent to the acquaintance called 'petname'.
+//      The messages are persisted in the 'outbox_store' until they are
+//      acknowledged. The returned object has these methods:
+
+//          load()
+//              Reads the outbox from the store. The returned Promise resolves
+//              once the outbox is ready to be opened.
+
+//          send(message, options)
+//              Adds a message to the outbox, and sends it if a connection is
+//              open. The returned Promise resolves once the message has been
+//              acknowledged, over this connection or a later one.
+
+//          open(connection)
+//              Sends every message in the outbox over a newly opened
+//              connection, before any other messages are sent.
+
+//          abandon(reason)
+//              Rejects the Promises returned by 'send' that have not yet
+//              settled. Their messages remain in the outbox, to be sent when
+//              it is next opened.
+
+//  is_message_id(id)
+//      Returns true if 'id' has the form of a message ID given by an outbox.
+
+//  make_inbox(inbox_store, webcrypto)
+//      Makes an inbox, which remembers the messages it has handled from each
+//      outbox. If the 'inbox_store' has 'read_inbox' and 'write_inbox'
+//      methods, it remembers them across restarts. The returned object has
+//      this method:
+
+//          receive(public_key, id, handle)
+//              Calls the 'handle' function, unless the message with the 'id'
+//              has been handled already. The 'public_key' is the CryptoKey of
+//              the party that sent the message. The returned Promise resolves
+//              or rejects like the value returned by 'handle', once the
+//              message has been handled and remembered.
+
+// Each outbox has a random ID, and numbers its messages in sequence. A message
+// is identified by the ID of its outbox and its sequence number. Messages are
+// always sent in sequence, and handled in sequence, so an inbox need only
+// remember the highest sequence number it has handled for each outbox.
+
+// The ID of an outbox is chosen by the sending party, so an inbox keeps the
+// outboxes of different senders apart. Otherwise a party could pass off its
+// outbox as another's, and cause the other's messages to be ignored.
+
+/*jslint browser */
+
+import cbor from "./cbor.js";
+import hex from "./hex.js";
+import make_elliptic from "./elliptic.js";
+
+const outbox_id_length = 16;
+
+function do_nothing() {
+    return;
+}
+
+function is_message_id(id) {
+    return (
+        Array.isArray(id)
+        && id.length === 2
+        && typeof id[0] === "string"
+        && Number.isSafeInteger(id[1])
+    );
+}
+
+function make_outbox(outbox_store, petname, webcrypto = window.crypto) {
+    let outbox_id;
+    let next_sequence = 0;
+    let entries = [];                // The unacknowledged messages, in order.
+    let connection;                  // The open connection, if any.
+    let saving = Promise.resolve();  // Writes to the store, one at a time.
+
+    function save() {
+
+// Write the whole outbox to the store. The outbox is encoded at the moment it
+// is written, so a write always captures every change made before it.
+
+        saving = saving.then(do_nothing, do_nothing).then(function () {
+            return outbox_store.write_outbox(petname, cbor.encode({
+                id: outbox_id,
+                next_sequence,
+                entries: entries.map(function (entry) {
+                    return [entry.sequence, entry.message];
+                })
+            }));
+        });
+        return saving;
+    }
+
+    function load() {
+        return outbox_store.read_outbox(petname).then(function (buffer) {
+            if (buffer === undefined) {
+                outbox_id = hex.encode(webcrypto.getRandomValues(
+                    new Uint8Array(outbox_id_length)
+                ).buffer);
+                return;
+            }
+            const saved = cbor.decode(buffer);
+            outbox_id = saved.id;
+            next_sequence = saved.next_sequence;
+            entries = saved.entries.map(function ([sequence, message]) {
+                return {sequence, message, saved: true};
+            });
+        });
+    }
+
+    function settle(entry) {
+        entries = entries.filter(function (an_entry) {
+            return an_entry !== entry;
+        });
+        return save();
+    }
+
+    function transmit(entry) {
+
+// Send the message over the open connection. If the message is acknowledged,
+// either positively or negatively, it leaves the outbox. If the connection
+// fails first, the message stays put.
+
+        const the_connection = connection;
+        return the_connection.send(
+            entry.message,
+            Object.assign({}, entry.options, (
+                the_connection.features.includes("ids")
+                ? {id: [outbox_id, entry.sequence]}
+                : {}
+            ))
+        ).then(
+            function () {
+                return settle(entry).then(function () {
+                    entry.resolve?.();
+                }, entry.reject);
+            },
+            function (reason) {
+                if (
+                    the_connection.state === "open"
+                    || the_connection.state === "closing"
+                ) {
+                    return settle(entry).then(function () {
+                        entry.reject?.(reason);
+                    }, entry.reject);
+                }
+            }
+        );
+    }
+
+    function send(message, options = {}) {
+
+// The message is sent only once it has been saved, so that it is never
+// acknowledged before it could be replayed.
+
+        return new Promise(function (resolve, reject) {
+            const entry = {
+                sequence: next_sequence,
+                message,
+                options: {compress: options.compress},
+                saved: false,
+                resolve,
+                reject
+            };
+            next_sequence += 1;
+            entries.push(entry);
+            save().then(function () {
+                entry.saved = true;
+                if (connection?.state === "open") {
+                    return transmit(entry);
+                }
+            }, function (reason) {
+                entries = entries.filter(function (an_entry) {
+                    return an_entry !== entry;
+                });
+                reject(reason);
+            });
+        });
+    }
+
+    function open(the_connection) {
+
+// Messages that are still being saved are sent once they have been saved.
+
+        connection = the_connection;
+        entries.filter(function (entry) {
+            return entry.saved;
+        }).forEach(
+            transmit
+        );
+    }
+
+    function abandon(reason) {
+        connection = undefined;
+        entries.forEach(function (entry) {
+            entry.reject?.(reason);
+            delete entry.resolve;
+            delete entry.reject;
+        });
+    }
+
+    return Object.freeze({load, send, open, abandon});
+}
+
+function make_inbox(inbox_store, webcrypto = window.crypto) {
+    const elliptic = make_elliptic(webcrypto);
+
+// For each sender and outbox, a Promise that resolves to the highest sequence
+// number handled so far, or -1 if none have been.
+
+    let highests = new Map();
+
+// For each public key, a Promise that resolves to the key as a hex string. Each
+// connection has a public key of its own, so the key is encoded only once per
+// connection.
+
+    let senders = new WeakMap();
+
+    function identify(public_key) {
+        let sender = senders.get(public_key);
+        if (sender === undefined) {
+            sender = elliptic.export_public_key(public_key).then(hex.encode);
+            senders.set(public_key, sender);
+        }
+        return sender;
+    }
+
+    function read_highest(sender, outbox_id) {
+        if (typeof inbox_store.read_inbox !== "function") {
+            return Promise.resolve(-1);
+        }
+        return inbox_store.read_inbox(
+            sender,
+            outbox_id
+        ).then(function (sequence) {
+            return sequence ?? -1;
+        });
+    }
+
+    function write_highest(sender, outbox_id, sequence) {
+        if (typeof inbox_store.write_inbox !== "function") {
+            return Promise.resolve();
+        }
+        return inbox_store.write_inbox(sender, outbox_id, sequence);
+    }
+
+    function receive(public_key, [outbox_id, sequence], handle) {
+
+// Messages from the same outbox are handled one at a time, in sequence. A
+// message is remembered once it has been handled, even if 'handle' failed, so
+// that it is not handled again.
+
+        return identify(public_key).then(function (sender) {
+            const key = sender + "/" + outbox_id;
+            let handled;
+            const previous = (
+                highests.get(key)
+                ?? read_highest(sender, outbox_id)
+            );
+            const current = previous.then(function (highest) {
+                if (sequence <= highest) {
+                    return highest;
+                }
+                handled = new Promise(function (resolve) {
+                    return resolve(handle());
+                });
+                return handled.then(do_nothing, do_nothing).then(function () {
+                    return write_highest(sender, outbox_id, sequence);
+                }).then(function () {
+                    return sequence;
+                });
+            });
+
+// Should the store fail us, the message is refused. If it had been handled,
+// it is remembered in memory at least. Otherwise the store is tried again for
+// the next message.
+
+            highests.set(key, current.catch(function () {
+                return (
+                    handled !== undefined
+                    ? sequence
+                    : read_highest(sender, outbox_id)
+                );
+            }));
+            return current.then(function () {
+                return handled;
+            });
+        });
+    }
+
+    return Object.freeze({receive});
+}
+
+export default Object.freeze({make_outbox, make_inbox, is_message_id});
@@ -5,15 +5,20 @@
 // also supplied with a transport that is used as a basis for communication
 // with other parties.
 
-/*jslint browser */
+/*jslint browser, getset */
 
 import make_elliptic from "./elliptic.js";
 import protocol from "./protocol.js";
+import delivery from "./outbox.js";
 
 function do_nothing() {
     return;
 }
 
+function always() {
+    return true;
+}
+
 function party(
     store,
     transport,
@@ -22,6 +27,16 @@ function party(
 ) {
     const elliptic = make_elliptic(webcrypto);
 
+// The tickets issued to us by our acquaintances, by petname. They are kept in
+// memory only, because they contain secrets.
+
+    let tickets = new Map();
+
+// Messages sent from an outbox are handled at most once, even if they arrive
+// again over a later connection.
+
+    const inbox = delivery.make_inbox(store, webcrypto);
+
     function get_keypair() {
 
 // Read the keypair from the store, or if it is missing, generate a new one.
@@ -61,17 +76,210 @@ function party(
         });
     }
 
+    function wrap(protocol_connection, petname, overrides) {
+
+// Connection objects provided by the protocol are not quite the same as those
+// provided by the party. A party's connection object knows the petname of the
+// other party, if it is an acquaintance. Its 'redirect' method, if it has one,
+// takes a petname instead of an address. Its 'send' method may put messages in
+// an outbox. These methods are supplied as 'overrides'.
+
+        let connection = {
+            send: protocol_connection.send,
+            status_send: protocol_connection.status_send,
+            request: protocol_connection.request,
+            rekey: protocol_connection.rekey,
+            open_channel: protocol_connection.open_channel,
+            close: protocol_connection.close,
+            get buffered_amount() {
+                return protocol_connection.buffered_amount;
+            },
+            get round_trip_time() {
+                return protocol_connection.round_trip_time;
+            },
+            version: protocol_connection.version,
+            features: protocol_connection.features,
+            id: protocol_connection.id,
+            export_keying_material: protocol_connection.export_keying_material,
+            remote_public_key: protocol_connection.remote_public_key,
+            local_address: protocol_connection.local_address,
+            remote_address: protocol_connection.remote_address,
+            headers: protocol_connection.headers,
+            opened_at: protocol_connection.opened_at,
+            get state() {
+                return protocol_connection.state;
+            },
+            get bytes_sent() {
+                return protocol_connection.bytes_sent;
+            },
+            get bytes_received() {
+                return protocol_connection.bytes_received;
+            },
+            get records_sent() {
+                return protocol_connection.records_sent;
+            },
+            get records_received() {
+                return protocol_connection.records_received;
+            },
+            get pending_acknowledgements() {
+                return protocol_connection.pending_acknowledgements;
+            },
+            get last_activity() {
+                return protocol_connection.last_activity;
+            },
+            petname
+        };
+        return Object.freeze(Object.assign(connection, overrides));
+    }
+
+    function deliver(on_message) {
+
+// Messages bearing the ID of a message in an outbox are passed through the
+// inbox, so that a message replayed after a failed connection is not handled
+// twice.
+
+        return function (connection, message, id) {
+            if (delivery.is_message_id(id)) {
+                return inbox.receive(
+                    connection.remote_public_key,
+                    id,
+                    function () {
+                        return on_message(connection, message);
+                    }
+                );
+            }
+            return on_message(connection, message);
+        };
+    }
+
+    function make_swizzle(make_connection) {
+
+// Our strategy is to modify 'on_open', 'on_message', 'on_request', 'on_drain',
+// 'on_channel' and 'on_close', mapping the connection objects as necessary. A
+// WeakMap is used to ensure a 1-to-1 mapping between protocol and party
+// connection objects.
+
+        let connection_weakmap = new WeakMap();
+        return function swizzle(callback) {
+            return function protocol_callback(protocol_connection, ...rest) {
+                if (protocol_connection === undefined) {
+                    return callback(undefined, ...rest);
+                }
+                let connection = connection_weakmap.get(protocol_connection);
+                if (connection === undefined) {
+                    connection = make_connection(protocol_connection);
+                    connection_weakmap.set(protocol_connection, connection);
+                }
+                return callback(connection, ...rest);
+            };
+        };
+    }
+
     function connect({
         petname,
         on_open = do_nothing,
         on_message = do_nothing,
+        on_request,
         on_close = do_nothing,
+        on_drain,
         hello_value,
-        connection_info
+        connection_info,
+        async_acknowledge,
+        high_water_mark,
+        rekey_records,
+        rekey_bytes,
+        rekey_interval,
+        heartbeat_interval,
+        idle_timeout,
+        handshake_timeout,
+        close_timeout,
+        max_identifier_length,
+        max_blob_length,
+        max_decompressed_length,
+        max_buffered_bytes,
+        on_channel,
+        max_redirects,
+        reconnect = false,
+        outbox = false
     }) {
         let protocol_close;
+        let retry_timer;
+        let nr_retries = 0;
+        let live;                    // The open connection, if any.
+        let queue = [];              // Messages waiting for a connection.
+        let ended = false;           // No connection will open again.
+        let end_reason;
+        const the_outbox = (
+            outbox === false
+            ? undefined
+            : delivery.make_outbox(
+                (
+                    outbox === true
+                    ? store
+                    : outbox
+                ),
+                petname,
+                webcrypto
+            )
+        );
+        let loading;                 // Reading the outbox from the store.
+        const swizzle = make_swizzle(function (protocol_connection) {
+
+// Closing the connection is as good as calling the returned 'close' function.
+// Messages sent afterwards are rejected, rather than left waiting for a
+// connection that will never open.
+
+            let overrides = {
+                close(reason) {
+                    clearTimeout(retry_timer);
+                    on_close = undefined;
+                    protocol_close = undefined;
+                    end(reason);
+                    return protocol_connection.close(reason);
+                }
+            };
+            if (the_outbox !== undefined) {
+                overrides.send = the_outbox.send;
+            }
+            return wrap(protocol_connection, petname, overrides);
+        });
+
+        function load() {
+
+// Read the outbox from the store, once it is first needed. Should that fail,
+// the attempt to connect fails with the reason, and the outbox is read afresh
+// next time.
+
+            if (the_outbox === undefined) {
+                return Promise.resolve();
+            }
+            if (loading === undefined) {
+                loading = the_outbox.load().catch(function (reason) {
+                    loading = undefined;
+                    throw reason;
+                });
+            }
+            return loading;
+        }
+
+        function end(reason) {
+
+// Messages still waiting for a connection will wait forever, so they are
+// rejected.
+
+            ended = true;
+            end_reason = reason;
+            live = undefined;
+            queue.forEach(function (entry) {
+                entry.reject?.(reason);
+            });
+            queue = [];
+            the_outbox?.abandon(reason);
+        }
 
         function destroy(reason) {
+            clearTimeout(retry_timer);
+            end(reason);
             if (protocol_close !== undefined) {
                 protocol_close(reason);
                 protocol_close = undefined;
@@ -82,69 +290,259 @@ function party(
             }
         }
 
-        Promise.all([
-            get_keypair(),
-            get_acquaintance(petname)
-        ]).then(function ([keypair, acquaintance]) {
+        function retry(reason) {
 
-// Proceed with the connection only if 'close' has not been called.
+// Schedule another attempt to connect, if the 'reconnect' policy allows it.
+// The delay doubles with each consecutive retry, up to a maximum, and is
+// randomized so that many parties cut off at once do not all return at once.
+// Returns true if an attempt was scheduled.
 
-            if (on_close === undefined) {
-                return;
+            if (reconnect === false || on_close === undefined) {
+                return false;
             }
-            protocol_close = protocol.connect({
-                webcrypto,
-                keypair,
-                transport_connect: transport.connect,
-                address: acquaintance.address,
-                remote_public_key: acquaintance.public_key,
-                hello_value,
-                connection_info,
-                on_open,
-                on_message,
-                on_close: function (
-                    connection,
-                    reason,
-                    address,
-                    public_key,
-                    permanent
-                ) {
-                    if (public_key !== undefined) {
+            const {
+                initial_delay = 1000,
+                max_delay = 60000,
+                max_attempts = Infinity,
+                should_reconnect = always
+            } = (
+                reconnect === true
+                ? {}
+                : reconnect
+            );
+            if (nr_retries >= max_attempts || !should_reconnect(reason)) {
+                return false;
+            }
+            const delay = Math.min(max_delay, initial_delay * 2 ** nr_retries);
+            nr_retries += 1;
+            retry_timer = setTimeout(attempt, delay * (1 + Math.random()) / 2);
+            return true;
+        }
+
+        function fail(reason) {
+
+// An attempt to connect failed, or was refused.
+
+            protocol_close = undefined;
+            if (!retry(reason)) {
+                return destroy(reason);
+            }
+        }
+
+        function send(message, options) {
+
+// Send the message over the open connection, or once a connection opens. With
+// an outbox, the message is saved straight away.
+
+            if (live !== undefined) {
+                return live.send(message, options);
+            }
+            if (ended) {
+                return Promise.reject(end_reason);
+            }
+            if (the_outbox !== undefined) {
+                return load().then(function () {
+                    if (ended) {
+                        return Promise.reject(end_reason);
+                    }
+                    return the_outbox.send(message, options);
+                });
+            }
+            return new Promise(function (resolve, reject) {
+                queue.push({message, options, resolve, reject});
+            });
+        }
+
+        function status_send(message, options) {
+
+// Like 'send', except that a message sent after the last connection has
+// closed is discarded.
+
+            if (live !== undefined) {
+                return live.status_send(message, options);
+            }
+            if (!ended) {
+                queue.push({message, options});
+            }
+            return true;
+        }
+
+        function flush() {
+
+// Send the messages that were waiting for the connection to open.
+
+            const entries = queue;
+            queue = [];
+            entries.forEach(function ({message, options, resolve, reject}) {
+                if (resolve === undefined) {
+                    return live.status_send(message, options);
+                }
+                return live.send(message, options).then(resolve, reject);
+            });
+        }
+
+        function attempt() {
+
+// The keypair and acquaintance are read afresh for each attempt, in case the
+// acquaintance has been updated by a permanent redirect.
+
+            Promise.all([
+                get_keypair(),
+                get_acquaintance(petname),
+                load()
+            ]).then(function ([keypair, acquaintance]) {
+
+// Proceed with the connection only if 'close' has not been called.
+
+                if (on_close === undefined) {
+                    return;
+                }
+                protocol_close = protocol.connect({
+                    webcrypto,
+                    keypair,
+                    transport_connect: transport.connect,
+                    address: acquaintance.address,
+                    remote_public_key: acquaintance.public_key,
+                    hello_value,
+                    connection_info,
+                    async_acknowledge,
+                    high_water_mark,
+                    rekey_records,
+                    rekey_bytes,
+                    rekey_interval,
+                    heartbeat_interval,
+                    idle_timeout,
+                    handshake_timeout,
+                    close_timeout,
+                    max_identifier_length,
+                    max_blob_length,
+                    max_decompressed_length,
+                    max_buffered_bytes,
+                    max_redirects,
+                    ticket: tickets.get(petname),
+                    on_ticket(ticket) {
+                        if (ticket === undefined) {
+                            tickets.delete(petname);
+                        } else {
+                            tickets.set(petname, ticket);
+                        }
+                    },
+                    on_open(protocol_connection) {
+                        nr_retries = 0;
+
+// Any messages left in the outbox are sent before 'on_open' has a chance to
+// send more.
+
+                        the_outbox?.open(protocol_connection);
+                        return swizzle(function (connection) {
+                            live = connection;
+                            flush();
+                            return on_open(connection);
+                        })(protocol_connection);
+                    },
+                    on_message: swizzle(deliver(on_message)),
+                    on_request: (
+                        on_request === undefined
+                        ? undefined
+                        : swizzle(on_request)
+                    ),
+                    on_drain: (
+                        on_drain === undefined
+                        ? undefined
+                        : swizzle(on_drain)
+                    ),
+                    on_channel: (
+                        on_channel === undefined
+                        ? undefined
+                        : swizzle(on_channel)
+                    ),
+                    on_close: function (
+                        connection,
+                        reason,
+                        address,
+                        public_key,
+                        permanent
+                    ) {
+                        if (on_close === undefined) {
+                            return;
+                        }
+                        live = undefined;
+                        if (public_key !== undefined) {
 
 // The connection is currently being redirected. If this is a permanent
 // redirect, update the store.
 
-                        reason = "redirected";
-                        if (permanent) {
-                            store.add_acquaintance({
-                                petname,
-                                address,
-                                public_key
-                            }).catch(
-                                destroy
-                            );
+                            if (permanent) {
+                                store.add_acquaintance({
+                                    petname,
+                                    address,
+                                    public_key
+                                }).catch(
+                                    destroy
+                                );
+                            }
+                            return swizzle(on_close)(connection, "redirected");
+                        }
+                        if (connection === undefined) {
+                            return fail(reason);
+                        }
+
+// An open connection has closed. Its 'on_close' is called regardless, and then
+// we may try again.
+
+                        swizzle(on_close)(connection, reason);
+                        protocol_close = undefined;
+                        if (!retry(reason)) {
+                            return end(reason);
                         }
                     }
-                    return on_close(connection, reason);
-                }
-            });
-        }).catch(
-            destroy
-        );
-        return function close(reason) {
+                });
+            }).catch(
+                fail
+            );
+        }
+
+        function close(reason) {
+
+// An open connection is closed gracefully, so that the messages already sent
+// are delivered first. Otherwise we stop trying to connect.
+
+            if (live !== undefined) {
+                return live.close(reason);
+            }
             on_close = undefined;
             return destroy(reason);
-        };
+        }
+
+        attempt();
+        return Object.freeze(Object.assign(close, {send, status_send}));
     }
 
     function listen({
         address,
         on_open = do_nothing,
         on_message = do_nothing,
-        on_close = do_nothing
+        on_request,
+        on_close = do_nothing,
+        on_hello = do_nothing,
+        on_drain,
+        async_acknowledge,
+        high_water_mark,
+        rekey_records,
+        rekey_bytes,
+        rekey_interval,
+        heartbeat_interval,
+        idle_timeout,
+        handshake_timeout,
+        close_timeout,
+        max_identifier_length,
+        max_blob_length,
+        max_decompressed_length,
+        max_buffered_bytes,
+        on_channel,
+        ticket_lifetime
     }) {
         let protocol_stop;
-        let connection_weakmap = new WeakMap();
 
         function destroy(reason) {
             if (protocol_stop !== undefined) {
@@ -157,46 +555,22 @@ function party(
             }
         }
 
-        function swizzle(callback) {
-
-// Connection objects provided by the protocol are not quite the same as those
-// provided by the party. The difference is in the 'redirect' method, which
-// takes an address instead of a petname.
-
-// Our strategy is to modify 'on_open', 'on_message' and 'on_close', mapping the
-// connection objects as necessary. A WeakMap is used to ensure a 1-to-1
-// mapping between protocol and party connection objects.
-
-            return function protocol_callback(protocol_connection, ...rest) {
-                if (protocol_connection === undefined) {
-                    return callback(undefined, ...rest);
+        const swizzle = make_swizzle(function (protocol_connection) {
+            return wrap(protocol_connection, undefined, {
+                redirect(petname, permanent, redirect_context) {
+                    get_acquaintance(petname).then(function (acquaintance) {
+                        protocol_connection.redirect(
+                            acquaintance.address,
+                            acquaintance.public_key,
+                            permanent,
+                            redirect_context
+                        );
+                    }).catch(
+                        destroy
+                    );
                 }
-                let connection = connection_weakmap.get(protocol_connection);
-                if (connection === undefined) {
-                    connection = Object.freeze({
-                        send: protocol_connection.send,
-                        status_send: protocol_connection.status_send,
-                        close: protocol_connection.close,
-                        redirect(petname, permanent, redirect_context) {
-                            get_acquaintance(
-                                petname
-                            ).then(function (acquaintance) {
-                                protocol_connection.redirect(
-                                    acquaintance.address,
-                                    acquaintance.public_key,
-                                    permanent,
-                                    redirect_context
-                                );
-                            }).catch(
-                                destroy
-                            );
-                        }
-                    });
-                    connection_weakmap.set(protocol_connection, connection);
-                }
-                return callback(connection, ...rest);
-            };
-        }
+            });
+        });
 
         get_keypair().then(function (keypair) {
 
@@ -211,8 +585,38 @@ function party(
                 transport_listen: transport.listen,
                 address,
                 on_open: swizzle(on_open),
-                on_message: swizzle(on_message),
-                on_close: swizzle(on_close)
+                on_message: swizzle(deliver(on_message)),
+                on_request: (
+                    on_request === undefined
+                    ? undefined
+                    : swizzle(on_request)
+                ),
+                on_close: swizzle(on_close),
+                on_hello,
+                on_drain: (
+                    on_drain === undefined
+                    ? undefined
+                    : swizzle(on_drain)
+                ),
+                async_acknowledge,
+                high_water_mark,
+                rekey_records,
+                rekey_bytes,
+                rekey_interval,
+                heartbeat_interval,
+                idle_timeout,
+                handshake_timeout,
+                close_timeout,
+                max_identifier_length,
+                max_blob_length,
+                max_decompressed_length,
+                max_buffered_bytes,
+                on_channel: (
+                    on_channel === undefined
+                    ? undefined
+                    : swizzle(on_channel)
+                ),
+                ticket_lifetime
             });
         }).catch(
             destroy
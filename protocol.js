@@ -21,7 +21,7 @@
 
 // The 'transport_connect' and 'transport_listen' parameters are functions
 // providing an ordered, reliable and persistent connection for binary data.
-// Both functions take these four parameters:
+// Both functions take these five parameters:
 
 //  address
 //      The address to connect or listen on. Different kinds of transports may
@@ -29,7 +29,7 @@
 
 //  on_open(connection)
 //      A function that is called when a connection is opened. The 'connection'
-//      parameter is an object with two methods:
+//      parameter is an object with these methods and properties:
 
 //          connection.send(chunk)
 //              Send a chunk of binary data down the connection. The 'chunk' is
@@ -38,6 +38,21 @@
 //          connection.close()
 //              Close the connection.
 
+//          connection.buffered_amount()
+//              Optional. Returns the number of bytes that have been passed to
+//              'send' but not yet written to the network.
+
+//          connection.local_address
+//          connection.remote_address
+//              Optional. The addresses of this end and the other end of the
+//              connection, for information only. These are strings, formatted
+//              however suits the transport.
+
+//          connection.headers
+//              Optional. For transports built upon HTTP, the headers of the
+//              request that opened the connection. This is an object whose
+//              property names are lowercase header names.
+
 //  on_receive(connection, chunk)
 //      A function that is called with each 'chunk' that arrives over a
 //      connection. The chunk is an ArrayBuffer.
@@ -46,17 +61,129 @@
 //      A function that is called when a connection is closed. If the connection
 //      failed, the 'reason' parameter should explain why.
 
+//  on_drain(connection)
+//      A function that is called when the connection's buffered amount falls
+//      to zero. Transports that do not implement 'connection.buffered_amount'
+//      need not call it.
+
 // The 'transport_connect' function returns a 'close' function, which closes the
 // connection. The 'transport_listen' funtion returns a 'stop' function, which
 // closes every connection and stops listening. Once a transport is closed or
-// stopped, the 'on_open', 'on_receive' and 'on_close' callbacks must not be
-// called again.
+// stopped, the 'on_open', 'on_receive', 'on_close' and 'on_drain' callbacks
+// must not be called again.
 
-/*jslint browser, bitwise */
+// The transport/conformance.js module checks that a transport keeps to these
+// rules.
+
+/*jslint browser, bitwise, getset */
 
 import hex from "./hex.js";
+import cbor from "./cbor.js";
 import make_elliptic from "./elliptic.js";
 
+// Streams are sent in chunks no bigger than 'max_chunk_length' bytes. The
+// sender of a stream may get ahead of the receiver by at most 'stream_window'
+// bytes.
+
+const max_chunk_length = 2 ** 16;
+const stream_window = 2 ** 20;
+
+// A blob holds raw bytes, a value encoded with one of the codecs, or the ID of
+// a stream.
+
+const blob_types = ["Buffer", "JSON", "CBOR", "Stream"];
+
+// The blobs that may appear in a Hello record, which arrives before the other
+// party has proven anything about itself.
+
+const hello_blob_ids = [
+    "version",
+    "handshakeKey",
+    "resumeKey",
+    "ticket",
+    "helloData",
+    "connectionInfo"
+];
+
+// Blobs are compressed, if both parties support it, unless they are shorter
+// than 'min_compression_length' bytes.
+
+const compression_format = "deflate";
+const compression_supported = (
+    typeof globalThis.CompressionStream === "function"
+    && typeof globalThis.DecompressionStream === "function"
+);
+const min_compression_length = 256;
+
+// A session may be resumed with a ticket, issued by the listening party during
+// an earlier session. The ticket is encrypted with the listening
+// party's ticket key, using a random IV of 'ticket_iv_length' bytes. The
+// ephemeral keys of a resumption use the much cheaper 'resumption_curve'.
+
+const ticket_iv_length = 12;
+const resumption_curve = "P-256";
+
+// The versions of the Seif Protocol that we speak, and the optional features
+// that we support. During the handshake, the initiating party offers its
+// versions and features, and the listening party chooses from them. Parties
+// that do not take part in the negotiation speak version 0, support no optional
+// features, and are never sent a record they would not recognize.
+
+const supported_versions = [0];
+const supported_features = [
+    "refuse",                        // Refuse records.
+    "requests",                      // Request and Reply records.
+    "streams",                       // Streamed blobs.
+    "rekey",                         // Rekeying records.
+    "heartbeat",                     // Ping and Pong records.
+    "channels",                      // Channels other than the main channel.
+    "cbor",                          // The CBOR codec.
+    "close",                         // Close records.
+    "resume",                        // Ticket records, and resumed sessions.
+    "ephemeral",                     // Ephemeral-ephemeral key exchange.
+    "ids"                            // Send records identified by the sender.
+].concat(
+    compression_supported
+    ? [compression_format]           // Blob compression.
+    : []
+);
+
+function do_nothing() {
+    return;
+}
+
+function choose_features(offered) {
+
+// Return the features that we have in common with another party, given the
+// features it offered. Anything else in the offer is ignored.
+
+    return Object.freeze(supported_features.filter(function (feature) {
+        return Array.isArray(offered) && offered.includes(feature);
+    }));
+}
+
+function choose_version(offered) {
+
+// Return the highest version that we have in common with another party, given
+// the versions it offered. A party that offered features but no versions speaks
+// version 0.
+
+    if (offered === undefined) {
+        return 0;
+    }
+    const common_versions = supported_versions.filter(function (version) {
+        return Array.isArray(offered) && offered.includes(version);
+    });
+    if (common_versions.length === 0) {
+        throw new Error("Unsupported Seif version.");
+    }
+    return Math.max(...common_versions);
+}
+
+function unsupported(feature) {
+    return new Error("The other party does not support " + feature + ".");
+}
+
 function concat_buffers(a, b) {
     let concatenated = new ArrayBuffer(a.byteLength + b.byteLength);
     let array = new Uint8Array(concatenated);
@@ -73,6 +200,164 @@ function decode_json(buffer) {
     return JSON.parse(new TextDecoder().decode(buffer));
 }
 
+// A codec encodes identifiers and structured blobs. Every party understands the
+// JSON codec. The CBOR codec can represent many more kinds of values, such as
+// typed arrays, dates and bigints, but it is only used if both parties agree
+// to it during the handshake.
+
+const json_codec = Object.freeze({
+    name: "JSON",
+    encode: encode_json,
+    decode: decode_json
+});
+const cbor_codec = Object.freeze({
+    name: "CBOR",
+    encode: cbor.encode,
+    decode: cbor.decode
+});
+
+function encode_error(exception) {
+
+// Exceptions do not survive serialization to JSON, so we transmit an exception
+// as its name and message.
+
+    return {
+        name: exception?.name ?? "Error",
+        message: exception?.message ?? String(exception)
+    };
+}
+
+function decode_error({name, message}) {
+
+// Reconstruct an exception that was encoded by 'encode_error'.
+
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+function is_stream(value) {
+
+// Streams are ReadableStreams or async iterables.
+
+    return (
+        typeof value?.getReader === "function"
+        || typeof value?.[Symbol.asyncIterator] === "function"
+    );
+}
+
+function make_reader(source) {
+
+// The 'make_reader' function takes a ReadableStream or an async iterable and
+// returns an object with two methods:
+
+//  read()
+//      Returns a Promise that resolves to an object with 'done' and 'value'
+//      properties, like the result of an iteration.
+
+//  cancel(reason)
+//      Stops the reading, releasing any resources held by the source. The
+//      returned Promise never rejects.
+
+    if (typeof source.getReader === "function") {
+        const reader = source.getReader();
+        return Object.freeze({
+            read() {
+                return reader.read();
+            },
+            cancel(reason) {
+                return reader.cancel(reason).catch(do_nothing);
+            }
+        });
+    }
+    const iterator = source[Symbol.asyncIterator]();
+    return Object.freeze({
+        read() {
+            return iterator.next();
+        },
+        cancel() {
+            return new Promise(function (resolve) {
+                return resolve(iterator.return?.());
+            }).catch(
+                do_nothing
+            );
+        }
+    });
+}
+
+function chunk_to_buffer(chunk) {
+
+// Stream chunks may be ArrayBuffers or views of ArrayBuffers, such as
+// Uint8Arrays. Return a chunk's bytes as an ArrayBuffer.
+
+    if (chunk?.constructor === ArrayBuffer) {
+        return chunk;
+    }
+    if (ArrayBuffer.isView(chunk)) {
+        return chunk.buffer.slice(
+            chunk.byteOffset,
+            chunk.byteOffset + chunk.byteLength
+        );
+    }
+    throw new Error("Bad chunk.");
+}
+
+function transform_buffer(buffer, transform_stream, max_length) {
+
+// Pass an ArrayBuffer thru a TransformStream, such as a CompressionStream. The
+// returned Promise resolves to an ArrayBuffer, or rejects with "blob too long"
+// if the output would exceed 'max_length' bytes.
+
+    const reader = new Blob([buffer]).stream().pipeThrough(
+        transform_stream
+    ).getReader();
+    let chunks = [];
+    let length = 0;
+
+    function next() {
+        return reader.read().then(function ({done, value}) {
+            if (done) {
+                let bytes = new Uint8Array(length);
+                let position = 0;
+                chunks.forEach(function (chunk) {
+                    bytes.set(chunk, position);
+                    position += chunk.byteLength;
+                });
+                return bytes.buffer;
+            }
+            length += value.byteLength;
+            if (length > max_length) {
+                reader.cancel().catch(do_nothing);
+                return Promise.reject("blob too long");
+            }
+            chunks.push(value);
+            return next();
+        });
+    }
+
+    return next();
+}
+
+function compress(buffer) {
+    return transform_buffer(
+        buffer,
+        new globalThis.CompressionStream(compression_format),
+        Infinity
+    );
+}
+
+function decompress(buffer, max_length) {
+
+// The decompressed length is limited, so that a small blob can not be used to
+// exhaust our memory.
+
+    return transform_buffer(
+        buffer,
+        new globalThis.DecompressionStream(compression_format),
+        max_length
+    );
+}
+
 function iv(fixed_field) {
 
 // The 'iv' function returns a generator that produces sequential 96-bit
@@ -105,33 +390,50 @@ function iv(fixed_field) {
     };
 }
 
-function make_record(identifier, message, encrypt_buffer) {
+function encode_record(
+    identifier,
+    message,
+    register_stream,
+    codec = json_codec
+) {
 
-// The 'make_record' function constructs a Seif record, consisting of a binary
-// length field, and identifier and any number of blobs. The returned Promise
-// resolves to an ArrayBuffer, intended to be put on the wire.
+// The 'encode_record' function serializes the parts of a Seif record, which
+// consists of an identifier and any number of blobs. It returns an array of
+// plaintext ArrayBuffers, the identifier followed by the blobs.
 
 // Properties found on the 'identifier' object are included in the record's
 // identifier.
 
 // The 'message' parameter is an object containing the values for the record's
 // blobs. The name of each property is the blob ID, and each value is either an
-// ArrayBuffer or a JSON-encodable value.
+// ArrayBuffer, a stream or a value that can be encoded by the 'codec'. The
+// 'codec' is also used to encode the identifier.
 
-// The 'encrypt_buffer' function takes a plaintext ArrayBuffer and returns
-// Promise that resolves to the ciphertext ArrayBuffer.
+// A stream is not sent as part of the record. Instead it is passed to the
+// optional 'register_stream' function, which returns a stream ID to be included
+// in the identifier. The stream's contents follow in subsequent records.
 
     if (typeof message !== "object") {
         throw new Error("Bad message.");
     }
     identifier.blobs = [];
-    let blob_buffers = Object.keys(
+    let blob_buffers = [];
+    Object.keys(
         message
     ).filter(function (id) {
-        return message[id] !== undefined;
-    }).map(function (id) {
+        return message[id] !== undefined || codec !== json_codec;
+    }).forEach(function (id) {
         let buffer;
         let blob_type;
+        if (register_stream !== undefined && is_stream(message[id])) {
+            identifier.blobs.push({
+                id,
+                type: "Stream",
+                stream: register_stream(message[id]),
+                length: 0
+            });
+            return;
+        }
 
 // Determine whether the blob should be transmitted as binary or structured
 // data.
@@ -140,8 +442,8 @@ function make_record(identifier, message, encrypt_buffer) {
             buffer = message[id];
             blob_type = "Buffer";
         } else {
-            buffer = encode_json(message[id]);
-            blob_type = "JSON";
+            buffer = codec.encode(message[id]);
+            blob_type = codec.name;
         }
 
 // Include information about the blob in the identifier, which is sent ahead of
@@ -154,17 +456,111 @@ function make_record(identifier, message, encrypt_buffer) {
             type: blob_type,
             length: buffer.byteLength
         });
-        return buffer;
+        blob_buffers.push(buffer);
     });
+    return [encode_identifier(identifier, codec), ...blob_buffers];
+}
 
-// Serialize and encrypt the identifier, then each of the blob buffers.
+function encode_identifier(identifier, codec) {
 
-    const identifier_buffer = encode_json(identifier);
+// The identifier's length must fit in the record's two byte length field.
+
+    const identifier_buffer = codec.encode(identifier);
     if (identifier_buffer.byteLength >= 2 ** 16) {
         throw new Error("Identifier too big.");
     }
+    return identifier_buffer;
+}
+
+function is_identifier(identifier) {
+
+// An identifier that arrives from the other party is not trusted until its
+// shape has been checked. Its type must be a string, and each of its blobs must
+// have a string ID, a type that we recognize, and a sensible length.
+
+    return (
+        typeof identifier === "object"
+        && identifier !== null
+        && typeof identifier.type === "string"
+        && Array.isArray(identifier.blobs)
+        && identifier.blobs.every(function (blob) {
+            return (
+                typeof blob === "object"
+                && blob !== null
+                && typeof blob.id === "string"
+                && blob_types.includes(blob.type)
+                && Number.isSafeInteger(blob.length)
+                && blob.length >= 0
+            );
+        })
+    );
+}
+
+function is_hello_identifier(identifier) {
+
+// A Hello record's identifier must declare each of the expected blobs at most
+// once, and nothing else.
+
+    return (
+        identifier.type === "Hello"
+        && identifier.blobs.every(function (blob, blob_nr) {
+            return (
+                hello_blob_ids.includes(blob.id)
+                && identifier.blobs.findIndex(function (other) {
+                    return other.id === blob.id;
+                }) === blob_nr
+            );
+        })
+    );
+}
+
+function compress_record(identifier, plaintext_buffers, codec) {
+
+// The 'compress_record' function compresses the blobs produced by
+// 'encode_record', wherever that makes them shorter. Each compressed blob is
+// marked as such in the 'identifier', which is then encoded again. The
+// returned Promise resolves to the new array of plaintext ArrayBuffers.
+
+// Streams have an entry in the identifier but no buffer, so they are skipped.
+
+    const blobs = identifier.blobs.filter(function (blob) {
+        return blob.type !== "Stream";
+    });
+    let compressed_any = false;
+    return Promise.all(
+        plaintext_buffers.slice(1).map(function (buffer, blob_nr) {
+            if (buffer.byteLength < min_compression_length) {
+                return buffer;
+            }
+            return compress(buffer).then(function (compressed_buffer) {
+                if (compressed_buffer.byteLength >= buffer.byteLength) {
+                    return buffer;
+                }
+                blobs[blob_nr].compressed = true;
+                blobs[blob_nr].length = compressed_buffer.byteLength;
+                compressed_any = true;
+                return compressed_buffer;
+            });
+        })
+    ).then(function (blob_buffers) {
+        if (!compressed_any) {
+            return plaintext_buffers;
+        }
+        return [encode_identifier(identifier, codec), ...blob_buffers];
+    });
+}
+
+function seal_record(plaintext_buffers, encrypt_buffer) {
+
+// The 'seal_record' function encrypts the ArrayBuffers produced by
+// 'encode_record' and joins them into a record. The returned Promise resolves
+// to an ArrayBuffer, intended to be put on the wire.
+
+// The 'encrypt_buffer' function takes a plaintext ArrayBuffer and returns
+// Promise that resolves to the ciphertext ArrayBuffer.
+
     return Promise.all(
-        [identifier_buffer, ...blob_buffers].map(encrypt_buffer)
+        plaintext_buffers.map(encrypt_buffer)
     ).then(function (encrypted_buffers) {
 
 // The record begins with the identifier length field, which is a big-endian
@@ -182,6 +578,18 @@ function make_record(identifier, message, encrypt_buffer) {
     });
 }
 
+function make_record(identifier, message, encrypt_buffer, codec) {
+
+// The 'make_record' function constructs a Seif record, consisting of a binary
+// length field, and identifier and any number of blobs. The returned Promise
+// resolves to an ArrayBuffer. See 'encode_record' and 'seal_record'.
+
+    return seal_record(
+        encode_record(identifier, message, undefined, codec),
+        encrypt_buffer
+    );
+}
+
 function make_aes(webcrypto = window.crypto) {
 
 // The symmetric encryption operations. We use the 256 bit AES-GCM cipher, as
@@ -209,6 +617,43 @@ function make_aes(webcrypto = window.crypto) {
 //      keys do not form a keypair. The returned Promise resolves to the shared
 //      secret, a CryptoKey instance.
 
+//  derive_bits(public_key, private_key, length)
+//      Like 'derive_key', except that the returned Promise resolves to the
+//      first 'length' bits of the shared secret, as an ArrayBuffer. If the
+//      'length' is omitted, the whole shared secret is returned.
+
+//  hkdf(secret, salt, info)
+//      Derives a symmetric key from a 'secret' ArrayBuffer using HKDF with
+//      SHA-256. The 'salt' is an ArrayBuffer and the 'info' is a string. The
+//      returned Promise resolves to a CryptoKey.
+
+//  hkdf_bits(secret, salt, info, length)
+//      Like 'hkdf', except that the returned Promise resolves to 'length' bits
+//      of keying material, as an ArrayBuffer.
+
+//  export_key(key)
+//      Extracts a symmetric CryptoKey's raw bytes. The returned Promise
+//      resolves to an ArrayBuffer.
+
+    function import_hkdf_secret(secret) {
+        return webcrypto.subtle.importKey(
+            "raw",
+            secret,
+            "HKDF",
+            false,
+            ["deriveKey", "deriveBits"]
+        );
+    }
+
+    function hkdf_algorithm(salt, info) {
+        return {
+            name: "HKDF",
+            hash: "SHA-256",
+            salt,
+            info: new TextEncoder().encode(info)
+        };
+    }
+
     return Object.freeze({
         generate_key() {
             return webcrypto.subtle.generateKey(
@@ -242,6 +687,39 @@ function make_aes(webcrypto = window.crypto) {
                 true,
                 ["encrypt", "decrypt"]
             );
+        },
+        derive_bits(public_key, private_key, length = null) {
+            return webcrypto.subtle.deriveBits(
+                {
+                    name: "ECDH",
+                    public: public_key
+                },
+                private_key,
+                length
+            );
+        },
+        hkdf(secret, salt, info) {
+            return import_hkdf_secret(secret).then(function (secret_key) {
+                return webcrypto.subtle.deriveKey(
+                    hkdf_algorithm(salt, info),
+                    secret_key,
+                    {name: "AES-GCM", length: 256},
+                    true,
+                    ["encrypt", "decrypt"]
+                );
+            });
+        },
+        hkdf_bits(secret, salt, info, length) {
+            return import_hkdf_secret(secret).then(function (secret_key) {
+                return webcrypto.subtle.deriveBits(
+                    hkdf_algorithm(salt, info),
+                    secret_key,
+                    length
+                );
+            });
+        },
+        export_key(key) {
+            return webcrypto.subtle.exportKey("raw", key);
         }
     });
 }
@@ -269,6 +747,8 @@ function hello(
 
 //      hello_record: The Hello record as an ArrayBuffer.
 //      handshake_key: The generated handshake key, as a CryptoKey.
+//      ephemeral_private_key: The private half of the ephemeral keypair, as a
+//                             CryptoKey.
 
     const aes = make_aes(webcrypto);
     const elliptic = make_elliptic(webcrypto);
@@ -290,7 +770,13 @@ function hello(
             return aes.encrypt(
                 encode_json({
                     initiatorPublicKey: hex.encode(initiator_public_key_buffer),
-                    value: hello_value
+                    value: hello_value,
+
+// We offer our versions and features. Parties that do not understand the offer
+// will ignore it.
+
+                    versions: supported_versions,
+                    features: supported_features
                 }),
                 handshake_key,
                 encryption_iv
@@ -318,35 +804,59 @@ function hello(
                     }
                 );
             }).then(function (hello_record) {
-                return {hello_record, handshake_key};
+                return {
+                    hello_record,
+                    handshake_key,
+                    ephemeral_private_key: ephemeral.privateKey
+                };
             });
         });
     });
 }
 
-function auth_hello(
+function negotiate(versions, features) {
+
+// Choose the highest version, and every feature, that we have in common with
+// the initiating party. If it made no offer, the result is undefined.
+
+    if (features === undefined) {
+        return;
+    }
+    return {
+        version: choose_version(versions),
+        features: choose_features(features)
+    };
+}
+
+function decrypt_hello(
     webcrypto,
     hello_message,
     private_key,
-    next_decryption_iv,
-    next_encryption_iv
+    next_decryption_iv
 ) {
 
-// The 'auth_hello' function produces some values that are required to complete
-// a Seif handshake. It takes the following parameters:
+// The 'decrypt_hello' function reads the Hello message, in preparation for a
+// response. It takes the following parameters:
 
 //      webcrypto: The WebCrypto object.
 //      hello_message: The Hello message as an object.
 //      private_key: The listener's private key, as a CryptoKey.
 //      next_decryption_iv: An IV generator for decryption.
-//      next_encryption_iv: An IV generator for encryption.
 
 // The returned Promise resolves to an object with the following properties:
 
-//      auth_hello_record: An ArrayBuffer containing the AuthHello record.
-//      session_key: The negotiated session key, as a CryptoKey.
+//      handshake_key: The handshake key, as a CryptoKey.
 //      hello_value: The value sent with the Hello message.
 //      initiator_public_key: The initiating party's public key, as a CryptoKey.
+//      ephemeral_public_key: The initiating party's ephemeral public key, as a
+//                            CryptoKey.
+//      negotiated: The version and features chosen for the connection, as an
+//                  object. If the initiating party did not offer any, this is
+//                  undefined.
+
+// The version in the clear is always 0, because parties that predate the
+// negotiation reject any other version. Newer versions are offered in the
+// encrypted hello data instead.
 
     if (hello_message.version !== 0) {
         return Promise.reject(new Error("Unsupported Seif version."));
@@ -354,162 +864,1153 @@ function auth_hello(
 
 // The Hello message contains the ephemeral public key of the handshake key
 // exchange, and the initiator's public key encrypted by the handshake key. We
-// derive and decrypt, and if it looks good we construct a response that
-// initiates the session key exchange.
+// derive and decrypt.
 
     const aes = make_aes(webcrypto);
     const elliptic = make_elliptic(webcrypto);
+    let handshake_key;
     let hello_value;
-    let session_key;
-    let initiator_public_key;
+    let ephemeral_public_key;
+    let negotiated;
     return elliptic.import_public_key(
         hello_message.handshakeKey
-    ).then(function (ephemeral_public_key) {
+    ).then(function (the_ephemeral_public_key) {
+        ephemeral_public_key = the_ephemeral_public_key;
         return aes.derive_key(ephemeral_public_key, private_key);
-    }).then(function (handshake_key) {
+    }).then(function (the_handshake_key) {
+        handshake_key = the_handshake_key;
         return aes.decrypt(
             hello_message.helloData,
             handshake_key,
             next_decryption_iv()
-        ).then(function (hello_buffer) {
-            const {initiatorPublicKey, value} = decode_json(hello_buffer);
-            hello_value = value;
-
-// Generate the ephemeral keypair for the session key exchange, and import the
-// initiator's public key so that it can be used to derive the session key.
-
-            return Promise.all([
-                elliptic.generate_keypair(),
-                elliptic.import_public_key(hex.decode(initiatorPublicKey))
-            ]);
-        }).then(function ([ephemeral, the_initiator_public_key]) {
-            initiator_public_key = the_initiator_public_key;
-            return Promise.all([
-                aes.derive_key(initiator_public_key, ephemeral.privateKey),
-                elliptic.export_public_key(ephemeral.publicKey)
-            ]);
-        }).then(function ([the_session_key, ephemeral_public_key_buffer]) {
-
-// Construct the AuthHello record.
-
-            session_key = the_session_key;
-            return make_record(
-                {type: "AuthHello"},
-                {sessionKey: ephemeral_public_key_buffer},
-                function encrypt(buffer) {
-                    return aes.encrypt(
-                        buffer,
-                        handshake_key,
-                        next_encryption_iv()
-                    );
-                }
-            );
-        });
-    }).then(function (auth_hello_record) {
+        );
+    }).then(function (hello_buffer) {
+        const {
+            initiatorPublicKey,
+            value,
+            versions,
+            features
+        } = decode_json(hello_buffer);
+        hello_value = value;
+        negotiated = negotiate(versions, features);
+        return elliptic.import_public_key(hex.decode(initiatorPublicKey));
+    }).then(function (initiator_public_key) {
         return {
-            auth_hello_record,
-            session_key,
+            handshake_key,
             hello_value,
-            initiator_public_key
+            initiator_public_key,
+            ephemeral_public_key,
+            negotiated
         };
     });
 }
 
-function make_consumer(
-    webcrypto,                       // The WebCrypto object.
-    transport_connection,            // The underlying transport connection.
-    private_key,                     // Our private key.
-    next_encryption_iv,              // Returns the next encryption IV.
-    next_decryption_iv,              // Returns the next decryption IV.
-    on_open,                         // Called with each new Seif connection.
-    on_message,                      // Called with each new Seif message.
-    on_close,                        // Called when a Seif connection is closed.
-    on_redirect,                     // Called with Seif redirection info.
-    handshake_key                    // The symmetric key used during handshake.
+function mixed_session_key(
+    webcrypto,
+    public_key,
+    private_key,
+    ephemeral_public_key,
+    ephemeral_private_key
 ) {
 
-// A "consumer" does most of the work in setting up and communicating over a
-// Seif connection. It is complex because it must tease messages out of an
-// incoming byte stream.
+// Derive a session key from two exchanges. The first, between the static key
+// of the initiating party and an ephemeral key of the listening party, is the
+// usual one. It authenticates the initiating party. The second, between the
+// ephemeral keys of both parties, protects the session even if both parties'
+// static keys are stolen later. The results are mixed with HKDF.
 
-    let session_key;                 // The symmetric key, to encrypt traffic.
-    let seif_connection;             // The interface for the Seif connection.
+    const aes = make_aes(webcrypto);
+    return Promise.all([
+        aes.derive_bits(public_key, private_key),
+        aes.derive_bits(ephemeral_public_key, ephemeral_private_key)
+    ]).then(function ([static_secret, ephemeral_secret]) {
+        return aes.hkdf(
+            concat_buffers(static_secret, ephemeral_secret),
+            new ArrayBuffer(0),
+            "Seif ephemeral session"
+        );
+    });
+}
 
-// Incoming state. Bytes are added to the end of a 'buffer', and periodically
-// consumed from the start (unless 'busy' is true).
+function auth_hello(
+    webcrypto,
+    handshake_key,
+    initiator_public_key,
+    initiator_ephemeral_public_key,
+    next_encryption_iv,
+    negotiated
+) {
 
-    let buffer = new ArrayBuffer(0); // The incoming bytes left to process.
-    let busy = false;                // Busy decrypting.
-    let identifier;                  // The parsed Seif record identifier.
-    let identifier_length;           // The identifier's length in bytes.
-    let blob_buffers = [];           // Decrypted blob buffers.
+// The 'auth_hello' function produces some values that are required to complete
+// a Seif handshake. It takes the following parameters:
 
-// Outgoing state. Tasks are then'd to a 'queue', which is a Promise that
-// resolves whenever the queue is emptied.
+//      webcrypto: The WebCrypto object.
+//      handshake_key: The handshake key, as a CryptoKey.
+//      initiator_public_key: The initiating party's public key, as a CryptoKey.
+//      initiator_ephemeral_public_key: The initiating party's ephemeral public
+//                                      key, as a CryptoKey.
+//      next_encryption_iv: An IV generator for encryption.
+//      negotiated: The version and features chosen by 'decrypt_hello'.
 
-    let queue = Promise.resolve();   // Outgoing message queue.
-    let pending_acks = [];           // Pending acknowledgement callbacks.
+// The returned Promise resolves to an object with the following properties:
+
+//      auth_hello_record: An ArrayBuffer containing the AuthHello record.
+//      session_key: The negotiated session key, as a CryptoKey.
+
+// We construct a response that initiates the session key exchange. Generate the
+// ephemeral keypair for the exchange, and use it with the initiator's public
+// key to derive the session key. If the "ephemeral" feature was chosen, the
+// initiator's ephemeral public key is used too.
 
     const aes = make_aes(webcrypto);
     const elliptic = make_elliptic(webcrypto);
+    let session_key;
+    return elliptic.generate_keypair().then(function (ephemeral) {
+        return Promise.all([
+            (
+                negotiated?.features.includes("ephemeral")
+                ? mixed_session_key(
+                    webcrypto,
+                    initiator_public_key,
+                    ephemeral.privateKey,
+                    initiator_ephemeral_public_key,
+                    ephemeral.privateKey
+                )
+                : aes.derive_key(initiator_public_key, ephemeral.privateKey)
+            ),
+            elliptic.export_public_key(ephemeral.publicKey)
+        ]);
+    }).then(function ([the_session_key, ephemeral_public_key_buffer]) {
 
-    function encrypt(plain) {
-        return aes.encrypt(
-            plain,
-            session_key,
-            next_encryption_iv()
-        );
-    }
+// Construct the AuthHello record.
 
-    function decrypt(cipher) {
-        return aes.decrypt(
-            cipher,
-            session_key ?? handshake_key,
-            next_decryption_iv()
+        session_key = the_session_key;
+        return make_record(
+            {type: "AuthHello"},
+            {
+                sessionKey: ephemeral_public_key_buffer,
+
+// The chosen version and features are only mentioned if they were offered.
+
+                version: negotiated?.version,
+                features: negotiated?.features
+            },
+            function encrypt(buffer) {
+                return aes.encrypt(
+                    buffer,
+                    handshake_key,
+                    next_encryption_iv()
+                );
+            }
         );
-    }
+    }).then(function (auth_hello_record) {
+        return {auth_hello_record, session_key};
+    });
+}
 
-    function destroy(reason, situation_option) {
+function resume_hello(
+    webcrypto,
+    the_ticket,
+    encryption_iv,
+    connection_info,
+    hello_value
+) {
 
-// The value of 'situation_option' may be one of:
+// The 'resume_hello' function is like 'hello', except that the Hello record it
+// produces resumes an earlier session. It takes the following parameters:
 
-//      undefined: There was a problem.
-//      true: The connection is no longer required.
-//      false: The connection has already been closed.
+//      webcrypto: The WebCrypto object.
+//      the_ticket: A ticket issued by the listening party, as an object.
+//      encryption_iv: An IV to be used for a single encryption.
+//      connection_info: An optional JSON-serializable value, sent in the clear.
+//      hello_value: A JSON-serializable value to include with the hello data.
 
-        if (transport_connection !== undefined) {
+// The returned Promise resolves to an object with these properties:
 
-// Inform the waiting senders that no more acknowledgements are forthcoming.
+//      hello_record: The Hello record as an ArrayBuffer.
+//      handshake_key: The derived handshake key, as a CryptoKey.
+//      resumption: An object containing the ephemeral private key and the
+//                  resumption secret, for deriving the session key.
 
-            pending_acks.forEach(function (pending) {
-                pending.reject(reason);
-            });
-            if (situation_option !== false) {
-                transport_connection.close();
+// Instead of the P-521 exchanges of a full handshake, we generate a single
+// ephemeral keypair on the resumption curve. The handshake key is derived from
+// the resumption secret and the ephemeral public key, so it is never reused.
+// There is no need to send our public key, because the ticket contains it.
+
+    const aes = make_aes(webcrypto);
+    const elliptic = make_elliptic(webcrypto, resumption_curve);
+    let ephemeral;
+    let ephemeral_public_key_buffer;
+    let handshake_key;
+    return elliptic.generate_keypair().then(function (the_ephemeral) {
+        ephemeral = the_ephemeral;
+        return elliptic.export_public_key(ephemeral.publicKey);
+    }).then(function (the_ephemeral_public_key_buffer) {
+        ephemeral_public_key_buffer = the_ephemeral_public_key_buffer;
+        return aes.hkdf(
+            the_ticket.secret,
+            ephemeral_public_key_buffer,
+            "Seif resumption handshake"
+        );
+    }).then(function (the_handshake_key) {
+        handshake_key = the_handshake_key;
+        return aes.encrypt(
+            encode_json({
+                value: hello_value,
+                versions: supported_versions,
+                features: supported_features
+            }),
+            handshake_key,
+            encryption_iv
+        );
+    }).then(function (encrypted_hello_data_buffer) {
+        return make_record(
+            {type: "Hello"},
+            {
+                version: 0,
+                ticket: the_ticket.ticket,
+                resumeKey: ephemeral_public_key_buffer,
+                helloData: encrypted_hello_data_buffer,
+                connectionInfo: connection_info
+            },
+            function encrypt(buffer) {
+                return buffer;
             }
+        );
+    }).then(function (hello_record) {
+        return {
+            hello_record,
+            handshake_key,
+            resumption: {
+                private_key: ephemeral.privateKey,
+                secret: the_ticket.secret
+            }
+        };
+    });
+}
+
+function decrypt_resume_hello(
+    webcrypto,
+    hello_message,
+    ticket_key,
+    next_decryption_iv
+) {
+
+// The 'decrypt_resume_hello' function is like 'decrypt_hello', but for a Hello
+// record produced by 'resume_hello'. The 'ticket_key' parameter is a Promise
+// that resolves to our ticket key, or undefined if we do not issue tickets.
+
+// The returned Promise resolves to an object like that of 'decrypt_hello', with
+// these additional properties:
+
+//      resume_key: The initiating party's ephemeral public key, as a CryptoKey.
+//      secret: The resumption secret, as an ArrayBuffer.
+
+// The Promise rejects if the ticket has expired, or is otherwise unreadable.
+// Because our ticket key is derived from our keypair, changing the keypair
+// invalidates every ticket.
+
+    if (hello_message.version !== 0) {
+        return Promise.reject(new Error("Unsupported Seif version."));
+    }
+    if (ticket_key === undefined) {
+        return Promise.reject(new Error("Unexpected ticket."));
+    }
+    const aes = make_aes(webcrypto);
+    const elliptic = make_elliptic(webcrypto);
+    const resumption_elliptic = make_elliptic(webcrypto, resumption_curve);
+    const ticket = hello_message.ticket;
+    let secret;
+    let initiator_public_key;
+    let resume_key;
+    let handshake_key;
+    return ticket_key.then(function (the_ticket_key) {
+        return aes.decrypt(
+            ticket.slice(ticket_iv_length),
+            the_ticket_key,
+            new Uint8Array(ticket.slice(0, ticket_iv_length))
+        );
+    }).then(function (ticket_buffer) {
+        const {
+            secret: secret_hex,
+            initiatorPublicKey,
+            expires
+        } = decode_json(ticket_buffer);
+        if (!(Date.now() < expires)) {
+            throw new Error("Expired ticket.");
+        }
+        secret = hex.decode(secret_hex);
+        return Promise.all([
+            elliptic.import_public_key(hex.decode(initiatorPublicKey)),
+            resumption_elliptic.import_public_key(hello_message.resumeKey),
+            aes.hkdf(
+                secret,
+                hello_message.resumeKey,
+                "Seif resumption handshake"
+            )
+        ]);
+    }).then(function ([
+        the_initiator_public_key,
+        the_resume_key,
+        the_handshake_key
+    ]) {
+        initiator_public_key = the_initiator_public_key;
+        resume_key = the_resume_key;
+        handshake_key = the_handshake_key;
+        return aes.decrypt(
+            hello_message.helloData,
+            handshake_key,
+            next_decryption_iv()
+        );
+    }).then(function (hello_buffer) {
+        const {value, versions, features} = decode_json(hello_buffer);
+        return {
+            handshake_key,
+            hello_value: value,
+            initiator_public_key,
+            negotiated: negotiate(versions, features),
+            resume_key,
+            secret
+        };
+    });
+}
+
+function resumed_session_key(webcrypto, public_key, private_key, secret) {
+
+// Both parties derive the session key of a resumed session from the ephemeral
+// exchange, which provides forward secrecy, and the resumption secret, which
+// only the two of them know.
+
+    const aes = make_aes(webcrypto);
+    return aes.derive_bits(
+        public_key,
+        private_key,
+        256
+    ).then(function (shared_secret) {
+        return aes.hkdf(shared_secret, secret, "Seif resumption session");
+    });
+}
+
+function resume_auth_hello(
+    webcrypto,
+    handshake_key,
+    resume_key,
+    secret,
+    next_encryption_iv,
+    negotiated
+) {
+
+// The 'resume_auth_hello' function is like 'auth_hello', but completes a
+// handshake begun by 'resume_hello'. The 'resume_key' and 'secret' parameters
+// are as provided by 'decrypt_resume_hello'.
+
+    const aes = make_aes(webcrypto);
+    const elliptic = make_elliptic(webcrypto, resumption_curve);
+    let session_key;
+    return elliptic.generate_keypair().then(function (ephemeral) {
+        return Promise.all([
+            resumed_session_key(
+                webcrypto,
+                resume_key,
+                ephemeral.privateKey,
+                secret
+            ),
+            elliptic.export_public_key(ephemeral.publicKey)
+        ]);
+    }).then(function ([the_session_key, ephemeral_public_key_buffer]) {
+        session_key = the_session_key;
+        return make_record(
+            {type: "AuthHello"},
+            {
+                resumeKey: ephemeral_public_key_buffer,
+                version: negotiated?.version,
+                features: negotiated?.features
+            },
+            function encrypt(buffer) {
+                return aes.encrypt(
+                    buffer,
+                    handshake_key,
+                    next_encryption_iv()
+                );
+            }
+        );
+    }).then(function (auth_hello_record) {
+        return {auth_hello_record, session_key};
+    });
+}
+
+function make_ticket(webcrypto, ticket_key, initiator_public_key, lifetime) {
+
+// The 'make_ticket' function issues a ticket, with which the initiating party
+// may resume its session. The returned Promise resolves to an object with these
+// properties:
+
+//      ticket: The ticket, as an ArrayBuffer.
+//      secret: The resumption secret, as an ArrayBuffer.
+//      expires: The time at which the ticket expires, in milliseconds since
+//               the epoch.
+
+// The resumption secret is random. The ticket contains it, along with the
+// initiating party's public key and the expiry time, encrypted with our ticket
+// key. The IV is random too, because the ticket key outlives any counter.
+
+    const aes = make_aes(webcrypto);
+    const elliptic = make_elliptic(webcrypto);
+    const secret = webcrypto.getRandomValues(new Uint8Array(32)).buffer;
+    const ticket_iv = webcrypto.getRandomValues(
+        new Uint8Array(ticket_iv_length)
+    );
+    const expires = Date.now() + lifetime;
+    return Promise.all([
+        ticket_key,
+        elliptic.export_public_key(initiator_public_key)
+    ]).then(function ([the_ticket_key, initiator_public_key_buffer]) {
+        return aes.encrypt(
+            encode_json({
+                secret: hex.encode(secret),
+                initiatorPublicKey: hex.encode(initiator_public_key_buffer),
+                expires
+            }),
+            the_ticket_key,
+            ticket_iv
+        );
+    }).then(function (encrypted_ticket_buffer) {
+        return {
+            ticket: concat_buffers(ticket_iv.buffer, encrypted_ticket_buffer),
+            secret,
+            expires
+        };
+    });
+}
+
+function destination(webcrypto, address, public_key) {
+
+// Returns a Promise that resolves to a string identifying a listening party by
+// both its address and public key, so that redirects to a party we have already
+// visited can be recognized.
+
+    return make_elliptic(webcrypto).export_public_key(
+        public_key
+    ).then(function (public_key_buffer) {
+        return address + " " + hex.encode(public_key_buffer);
+    });
+}
+
+function make_consumer({
+    webcrypto,                       // The WebCrypto object.
+    transport_connection,            // The underlying transport connection.
+    private_key,                     // Our private key.
+    next_encryption_iv,              // Returns the next encryption IV.
+    next_decryption_iv,              // Returns the next decryption IV.
+    on_open,                         // Called with each new Seif connection.
+    on_message,                      // Called with each new Seif message.
+    on_request = on_message,         // Called with each new Seif request.
+    on_close,                        // Called when a Seif connection is closed.
+    on_redirect,                     // Called with Seif redirection info.
+    on_hello = do_nothing,           // Called to authorize a Hello message.
+    async_acknowledge = false,       // Acknowledge once 'on_message' is done.
+    on_drain = do_nothing,           // Called when the outgoing data is sent.
+    high_water_mark = Infinity,      // The buffered amount that is too much.
+    rekey_records = Infinity,        // Rekey after sending this many records.
+    rekey_bytes = Infinity,          // Rekey after sending this many bytes.
+    rekey_interval = Infinity,       // Rekey after this many milliseconds.
+    heartbeat_interval = Infinity,   // Milliseconds between Ping records.
+    idle_timeout = Infinity,         // Milliseconds of silence to tolerate.
+    handshake_timeout = Infinity,    // Milliseconds allowed for the handshake.
+    close_timeout = 10000,           // Milliseconds allowed for a clean close.
+    max_identifier_length = Infinity,// The longest identifier we will accept.
+    max_blob_length = Infinity,      // The longest blob we will accept.
+    max_decompressed_length = 2 ** 24,// The longest blob we will decompress.
+    max_buffered_bytes = Infinity,   // The most incoming bytes we will hold.
+    on_channel = do_nothing,         // Called with each new incoming channel.
+    on_ticket = do_nothing,          // Called with each ticket issued to us.
+    ticket_key,                      // Resolves to our ticket key, if any.
+    ticket_lifetime,                 // Milliseconds until our tickets expire.
+    resumption,                      // Our secrets for resuming a session.
+    ephemeral_private_key,           // Made our handshake key, if we initiated.
+    hello_record,                    // The Hello record, if we initiated.
+    remote_public_key,               // The other party's key, if we initiated.
+    handshake_key                    // The symmetric key used during handshake.
+}) {
+
+// A "consumer" does most of the work in setting up and communicating over a
+// Seif connection. It is complex because it must tease messages out of an
+// incoming byte stream.
+
+    let encryption_key;              // The session key for outgoing traffic.
+    let decryption_key;              // The session key for incoming traffic.
+    let seif_connection;             // The interface for the Seif connection.
+    let connection_id;               // The hash of the handshake's transcript.
+    let opened_at;                   // When the Seif connection opened.
+    let exporter_key;                // The session key, prior to any rekeying.
+    let version = 0;                 // The agreed protocol version.
+    let features = Object.freeze([]); // The agreed optional features.
+    let codec = json_codec;          // Encodes identifiers and blobs.
+    let compression = false;         // Whether to compress outgoing blobs.
+
+// Only the initiating party starts out with a handshake key.
+
+    const initiating = handshake_key !== undefined;
+
+// Whatever the transport tells us about the connection, for information only.
+
+    const transport_info = Object.freeze({
+        local_address: transport_connection.local_address,
+        remote_address: transport_connection.remote_address,
+        headers: transport_connection.headers
+    });
+
+// Statistics, covering every record sent or received over the connection.
+
+    let bytes_sent = 0;
+    let bytes_received = 0;
+    let records_sent = 0;
+    let records_received = 0;
+
+// The transcript of the handshake is a list of the bytes of the Hello and
+// AuthHello records, in that order.
+
+    let transcript = (
+        initiating
+        ? [hello_record]
+        : []
+    );
+    if (initiating) {
+        bytes_sent += hello_record.byteLength;
+        records_sent += 1;
+    }
+
+// Incoming state. Chunks of bytes are added to the end of 'chunks', and
+// periodically consumed from the start (unless 'busy' is true). The chunks are
+// not joined as they arrive, because that would copy every byte over and over
+// again for a record that arrives in many chunks. Instead the bytes are copied
+// once, when a whole identifier or blob is available.
+
+    let chunks = [];                 // The incoming chunks left to process.
+    let chunk_offset = 0;            // Bytes taken from the first chunk.
+    let nr_buffered = 0;             // The number of bytes left to process.
+    let busy = false;                // Busy decrypting.
+    let identifier;                  // The parsed Seif record identifier.
+    let identifier_length;           // The identifier's length in bytes.
+    let blob_buffers = [];           // Decrypted blob buffers.
+    let nr_held = 0;                 // The number of bytes in 'blob_buffers'.
+    let ended = false;               // The transport connection has ended.
+    let end_reason;                  // Why the transport connection ended.
+
+// Outgoing state. Tasks are then'd to a 'queue', which is a Promise that
+// resolves whenever the queue is emptied.
+
+    let queue = Promise.resolve();   // Outgoing message queue.
+    let pending_requests = new Map(); // Pending replies, by request ID.
+    let next_request_id = 0;         // The ID of the next outgoing request.
+    let queued_bytes = 0;            // The size of the queued records.
+    let needs_drain = false;         // Whether 'on_drain' should be called.
+    let next_stream_id = 0;          // The ID of the next outgoing stream.
+    let outgoing_streams = new Map();// Outgoing stream state, by stream ID.
+    let incoming_streams = new Map();// Incoming stream state, by stream ID.
+
+// Rekeying state. The session keys are replaced from time to time, see 'rekey'.
+
+    let rekeying;                    // The rekeying in progress, if any.
+    let records_since_rekey = 0;     // Records sent with the encryption key.
+    let bytes_since_rekey = 0;       // Bytes sent with the encryption key.
+    let rekey_timer;                 // Schedules the next rekeying.
+
+// Channel state. Messages may be sent over any number of channels, each of
+// which has its own acknowledgements. That way, a channel carrying slowly
+// handled messages does not hold up the acknowledgements on another channel.
+// The connection itself is the main channel, which has no ID.
+
+    let main_channel = {
+        pending_acks: [],            // Pending acknowledgement callbacks.
+        acknowledgements: Promise.resolve(), // Deferred acknowledgements.
+        on_message
+    };
+    let channels = new Map();        // The other open channels, by channel ID.
+
+// Each party numbers the channels it opens, taking turns so that the IDs never
+// clash.
+
+    let next_channel_id = (
+        initiating
+        ? 0
+        : 1
+    );
+
+// Liveness state. Ping records are sent periodically, and the time taken for
+// each Pong record to come back is measured.
+
+    let last_sent;                   // When a record was last sent.
+    let heartbeat_timer;             // Schedules the next Ping record.
+    let idle_timer;                  // Checks for silence from the other party.
+    let last_received;               // When bytes were last received.
+    let ping_sent;                   // When the outstanding Ping was sent.
+    let round_trip_time;             // Milliseconds taken by the last Ping.
+
+// Closing state. A graceful close is initiated by either party, and the
+// initiator's reason prevails over anything that goes wrong afterwards.
+
+    let closing;                     // The 'reason' and 'situation' of a close.
+    let close_timer;                 // Abandons the graceful close.
+
+// A party that never completes the handshake is not permitted to occupy our
+// resources forever.
+
+    let handshake_timer = (
+        Number.isFinite(handshake_timeout)
+        ? setTimeout(function () {
+            return destroy("handshake timeout");
+        }, handshake_timeout)
+        : undefined
+    );
+
+    const aes = make_aes(webcrypto);
+    const elliptic = make_elliptic(webcrypto);
+
+    function encrypt(plain) {
+        return aes.encrypt(
+            plain,
+            encryption_key,
+            next_encryption_iv()
+        );
+    }
+
+    function decrypt(cipher) {
+        return aes.decrypt(
+            cipher,
+            decryption_key ?? handshake_key,
+            next_decryption_iv()
+        );
+    }
+
+    function destroy(reason, situation_option) {
+
+// The value of 'situation_option' may be one of:
+
+//      undefined: There was a problem.
+//      true: The connection is no longer required.
+//      false: The connection has already been closed.
+
+        if (closing !== undefined) {
+            reason = closing.reason;
             if (situation_option === undefined) {
-                on_close(seif_connection, reason);
+                situation_option = closing.situation;
+            }
+        }
+        if (transport_connection !== undefined) {
+
+// Inform the waiting senders that no more acknowledgements are forthcoming.
+
+            main_channel.pending_acks.forEach(function (pending) {
+                pending.reject(reason);
+            });
+            pending_requests.forEach(function (pending) {
+                pending.reject(reason);
+            });
+
+// Abandon the streams.
+
+            outgoing_streams.forEach(function (outgoing) {
+                outgoing.reader.cancel(reason);
+            });
+            outgoing_streams = new Map();
+            incoming_streams.forEach(function (incoming) {
+                incoming.controller.error(reason);
+            });
+            incoming_streams = new Map();
+            clearTimeout(rekey_timer);
+            clearInterval(heartbeat_timer);
+            clearTimeout(idle_timer);
+            clearTimeout(handshake_timer);
+            clearTimeout(close_timer);
+            if (rekeying !== undefined) {
+                rekeying.reject(reason);
+                rekeying = undefined;
             }
+            if (situation_option !== false && !ended) {
+                transport_connection.close();
+            }
+
+// The connection is closed by the time the handlers hear of it.
+
             transport_connection = undefined;
+
+// The channels go down with the connection.
+
+            const the_channels = channels;
+            channels = new Map();
+            the_channels.forEach(function (channel) {
+                channel.pending_acks.forEach(function (pending) {
+                    pending.reject(reason);
+                });
+                if (situation_option === undefined) {
+                    channel.on_close(channel.interface, reason);
+                }
+            });
+            if (situation_option === undefined) {
+                on_close(seif_connection, reason);
+            }
         }
     }
 
-    function enqueue(callback) {
+    function send_record(record) {
+        transport_connection.send(record);
+        bytes_sent += record.byteLength;
+        records_sent += 1;
+        last_sent = Date.now();
+    }
+
+    function enqueue(callback, size = 0) {
 
 // Adds a callback function to the outoing message queue. The callback should
-// return a Promise that resolves to a record.
+// return a Promise that resolves to a record. The 'size' is the approximate
+// number of bytes in the record, which counts toward the buffered amount until
+// the record has been handed to the transport.
 
+        queued_bytes += size;
         queue = queue.then(function () {
-            if (transport_connection !== undefined) {
+            if (transport_connection !== undefined && !ended) {
                 return callback().then(function (record) {
-                    if (transport_connection !== undefined) {
-                        transport_connection.send(record);
+
+// The callback may resolve to undefined if it no longer has anything to send.
+
+                    if (
+                        record !== undefined
+                        && transport_connection !== undefined
+                    ) {
+                        send_record(record);
+                        count_record(record);
                     }
                 });
             }
+        }).then(function () {
+            queued_bytes -= size;
+            return check_drain();
         }).catch(
             destroy
         );
+
+// The returned Promise resolves once the record has been sent.
+
+        return queue;
+    }
+
+    function enqueue_record(identifier, message, compressible = false) {
+
+// Adds a record to the outgoing message queue. The record is encoded right
+// away, so that its size is known, but it is not compressed or encrypted until
+// its turn comes. Any streams in the message are sent afterwards.
+
+// Only the blobs of 'compressible' records are compressed, and then only if
+// the other party has agreed to it.
+
+        let streams = [];
+        const plaintext_buffers = encode_record(
+            identifier,
+            message,
+            function register_stream(source) {
+                if (!features.includes("streams")) {
+                    throw unsupported("streams");
+                }
+                const stream_id = next_stream_id;
+                next_stream_id += 1;
+                streams.push({stream_id, source});
+                return stream_id;
+            },
+            codec
+        );
+        const sent = enqueue(
+            function () {
+                if (!compression || !compressible) {
+                    return seal_record(plaintext_buffers, encrypt);
+                }
+                return compress_record(
+                    identifier,
+                    plaintext_buffers,
+                    codec
+                ).then(function (compressed_buffers) {
+                    return seal_record(compressed_buffers, encrypt);
+                });
+            },
+            plaintext_buffers.reduce(function (size, buffer) {
+                return size + buffer.byteLength;
+            }, 0)
+        );
+        streams.forEach(function ({stream_id, source}) {
+            return pump(stream_id, source);
+        });
+        return sent;
+    }
+
+    function pump(stream_id, source) {
+
+// Read chunks from an outgoing stream's 'source' and send them as Chunk
+// records, followed by an End record. Each record is sent before the next one
+// is made, so streams take turns with each other and with other messages.
+// Large chunks are split up for the same reason.
+
+// The receiving party grants us credit as it consumes the stream. We wait
+// whenever the credit runs out, so that the stream's contents never pile up in
+// memory at either end.
+
+        let outgoing = {
+            reader: undefined,
+            credit: stream_window,
+            on_credit: undefined
+        };
+        outgoing_streams.set(stream_id, outgoing);
+
+        function finish(error_message) {
+            if (outgoing_streams.get(stream_id) === outgoing) {
+                outgoing_streams.delete(stream_id);
+                enqueue_record({type: "End", stream: stream_id}, error_message);
+            }
+        }
+
+        function fail(exception) {
+            outgoing.reader.cancel(exception);
+            return finish({error: encode_error(exception)});
+        }
+
+        function next() {
+            return outgoing.reader.read().then(function ({done, value}) {
+                if (outgoing_streams.get(stream_id) !== outgoing) {
+                    return;
+                }
+                if (done) {
+                    return finish({});
+                }
+                send_chunk(chunk_to_buffer(value), 0);
+            }).catch(
+                fail
+            );
+        }
+
+        function send_chunk(buffer, offset) {
+
+// We take care not to return the Promises chained here, because the chain
+// would grow without bound for a long stream.
+
+            if (outgoing_streams.get(stream_id) !== outgoing) {
+                return;
+            }
+            if (offset >= buffer.byteLength) {
+                return next();
+            }
+            if (outgoing.credit <= 0) {
+                outgoing.on_credit = function () {
+                    return send_chunk(buffer, offset);
+                };
+                return;
+            }
+            const piece = buffer.slice(
+                offset,
+                offset + Math.min(max_chunk_length, outgoing.credit)
+            );
+            outgoing.credit -= piece.byteLength;
+            enqueue_record(
+                {type: "Chunk", stream: stream_id},
+                {data: piece}
+            ).then(function () {
+                send_chunk(buffer, offset + piece.byteLength);
+            });
+        }
+
+        try {
+            outgoing.reader = make_reader(source);
+        } catch (exception) {
+
+// The source could not be read, perhaps because it is locked.
+
+            return finish({error: encode_error(exception)});
+        }
+        return next();
+    }
+
+    function open_stream(stream_id) {
+
+// Make a ReadableStream for an incoming stream. Its contents arrive in Chunk
+// records. As the stream is read, we grant the sending party more credit.
+
+        let incoming = {received: 0, granted: stream_window};
+        return new globalThis.ReadableStream(
+            {
+                start(controller) {
+                    incoming.controller = controller;
+                    incoming_streams.set(stream_id, incoming);
+                },
+                pull(controller) {
+                    if (incoming_streams.get(stream_id) !== incoming) {
+                        return;
+                    }
+
+// The bytes that have been consumed are those that have been received but are
+// no longer queued. The sender may run ahead of the consumer by one window.
+// To avoid a flurry of Pull records, credit is granted in large increments.
+
+                    const queued = stream_window - controller.desiredSize;
+                    const limit = incoming.received - queued + stream_window;
+                    if (limit - incoming.granted >= stream_window / 2) {
+                        enqueue_record(
+                            {type: "Pull", stream: stream_id},
+                            {length: limit - incoming.granted}
+                        );
+                        incoming.granted = limit;
+                    }
+                },
+                cancel(reason) {
+                    if (incoming_streams.get(stream_id) === incoming) {
+                        incoming_streams.delete(stream_id);
+                        enqueue_record(
+                            {type: "Cancel", stream: stream_id},
+                            {
+                                reason: (
+                                    reason === undefined
+                                    ? undefined
+                                    : encode_error(reason)
+                                )
+                            }
+                        );
+                    }
+                }
+            },
+            {
+                highWaterMark: stream_window,
+                size(chunk) {
+                    return chunk.byteLength;
+                }
+            }
+        );
+    }
+
+    function get_buffered_amount() {
+
+// The number of bytes waiting to be sent, either in our own queue or in the
+// transport's buffer. Transports are not obliged to report the latter.
+
+        return queued_bytes + (
+            (transport_connection !== undefined && !ended)
+            ? transport_connection.buffered_amount?.() ?? 0
+            : 0
+        );
+    }
+
+    function check_drain() {
+
+// If 'status_send' has asked the sender to slow down, tell it when everything
+// has been sent.
+
+        if (needs_drain && get_buffered_amount() === 0) {
+            needs_drain = false;
+            return on_drain(seif_connection);
+        }
+    }
+
+    function agree(negotiated) {
+
+// Adopt the version and features negotiated during the handshake. If there was
+// no negotiation, the other party speaks plain version 0 with no features.
+
+        if (negotiated === undefined) {
+            return;
+        }
+        version = negotiated.version;
+        features = Object.freeze(negotiated.features);
+        codec = (
+            features.includes("cbor")
+            ? cbor_codec
+            : json_codec
+        );
+        compression = features.includes(compression_format);
+    }
+
+    function schedule_rekey() {
+
+// Start counting toward the next rekeying afresh. This happens whenever we
+// start encrypting with a new session key.
+
+        records_since_rekey = 0;
+        bytes_since_rekey = 0;
+        clearTimeout(rekey_timer);
+        if (Number.isFinite(rekey_interval) && features.includes("rekey")) {
+            rekey_timer = setTimeout(function () {
+                return rekey().catch(do_nothing);
+            }, rekey_interval);
+        }
+    }
+
+    function count_record(record) {
+
+// A record has been sent. Rekey if the encryption key has seen enough use.
+
+        records_since_rekey += 1;
+        bytes_since_rekey += record.byteLength;
+        if (
+            rekeying === undefined
+            && features.includes("rekey")
+            && (
+                records_since_rekey >= rekey_records
+                || bytes_since_rekey >= rekey_bytes
+            )
+        ) {
+
+// The rekeying waits on the queue, so we must not wait on the rekeying.
+
+            rekey().catch(do_nothing);
+        }
+    }
+
+    function switch_encryption_key(key) {
+
+// Start encrypting with a new session key. The IV counter starts over, because
+// IVs need only be unique for a given key.
+
+        encryption_key = key;
+        next_encryption_iv = iv(
+            initiating
+            ? 0
+            : 1
+        );
+        return schedule_rekey();
+    }
+
+    function switch_decryption_key(key) {
+        decryption_key = key;
+        next_decryption_iv = iv(
+            initiating
+            ? 1
+            : 0
+        );
+    }
+
+    function begin_rekeying(leading) {
+
+// Make a record of a rekeying in progress. The 'leading' party is the one that
+// sent the Rekey record.
+
+        let the_rekeying = {leading};
+        the_rekeying.promise = new Promise(function (resolve, reject) {
+            the_rekeying.resolve = resolve;
+            the_rekeying.reject = reject;
+        });
+
+// The Promise is not necessarily observed by anybody, so an unhandled rejection
+// must not be reported.
+
+        the_rekeying.promise.catch(do_nothing);
+        rekeying = the_rekeying;
+        return the_rekeying;
+    }
+
+    function end_rekeying(the_rekeying) {
+        if (rekeying === the_rekeying) {
+            rekeying = undefined;
+            the_rekeying.resolve();
+        }
+    }
+
+    function rekey() {
+
+// Replace the session keys without interrupting the connection. The returned
+// Promise resolves once both parties have switched to the new keys.
+
+// Rekeying takes three records. The leading party sends a Rekey record
+// containing an ephemeral public key. The other party generates its own
+// ephemeral keypair and derives the new key via ECDH. It responds with a
+// RekeyReply record containing its ephemeral public key, then switches to the
+// new key. When the leading party receives the RekeyReply, it derives the same
+// key and sends a Rekeyed record before switching too.
+
+// The RekeyReply and Rekeyed records are the last to be encrypted with the old
+// key, so each party knows exactly when to switch its decryption key. No
+// records are lost in the process, so neither are any acknowledgements.
+
+        if (!features.includes("rekey")) {
+            return Promise.reject(unsupported("rekeying"));
+        }
+        if (rekeying !== undefined) {
+            return rekeying.promise;
+        }
+        const the_rekeying = begin_rekeying(true);
+        enqueue(function () {
+
+// If the other party led a rekeying of its own in the meantime, we have nothing
+// to send.
+
+            if (!the_rekeying.leading) {
+                return Promise.resolve();
+            }
+            return elliptic.generate_keypair().then(function (ephemeral) {
+                the_rekeying.private_key = ephemeral.privateKey;
+                return elliptic.export_public_key(ephemeral.publicKey);
+            }).then(function (public_key_buffer) {
+                return make_record(
+                    {type: "Rekey"},
+                    {publicKey: public_key_buffer},
+                    encrypt,
+                    codec
+                );
+            });
+        });
+        return the_rekeying.promise;
+    }
+
+    function ping() {
+
+// Send a Ping record, unless the last one is still awaiting its Pong. The
+// time is noted once the Ping actually goes out, so that time spent in the
+// queue does not count toward the round trip.
+
+        if (ping_sent !== undefined) {
+            return;
+        }
+        ping_sent = Infinity;
+        enqueue(function () {
+            return make_record({type: "Ping"}, {}, encrypt, codec).then(
+                function (ping_record) {
+                    ping_sent = Date.now();
+                    return ping_record;
+                }
+            );
+        });
+    }
+
+    function watch_idle() {
+
+// Close the connection if nothing has been received from the other party for
+// 'idle_timeout' milliseconds. Rather than resetting a timer every time bytes
+// arrive, we check back when the timeout would next expire.
+
+        const remaining = last_received + idle_timeout - Date.now();
+        if (remaining <= 0) {
+            return destroy("timeout");
+        }
+        idle_timer = setTimeout(watch_idle, remaining);
+    }
+
+    function start_liveness() {
+
+// Start sending heartbeats and watching for silence, as configured. This
+// happens when the connection opens.
+
+        clearTimeout(handshake_timer);
+        if (
+            Number.isFinite(heartbeat_interval)
+            && features.includes("heartbeat")
+        ) {
+            heartbeat_timer = setInterval(ping, heartbeat_interval);
+
+// Every heartbeat is answered, so a party that misses the deadline for a Pong
+// has gone away even if no 'idle_timeout' was given.
+
+            if (!Number.isFinite(idle_timeout)) {
+                idle_timeout = 2 * heartbeat_interval;
+            }
+        }
+        if (Number.isFinite(idle_timeout)) {
+            last_received = Date.now();
+            watch_idle();
+        }
     }
 
     function redirect(address, public_key, permanent, redirect_context) {
@@ -528,40 +2029,507 @@ function make_consumer(
                         permanent,
                         redirectContext: redirect_context
                     },
-                    encrypt
+                    encrypt,
+                    codec
+                );
+            });
+        });
+    }
+
+    function send(message, channel, options = {}) {
+
+// Send a message over a channel with the expectation that its delivery will be
+// acknowledged. Unless the 'options' say otherwise, the message's blobs may be
+// compressed. The 'options' may also give the message an ID, which is passed
+// along to the receiving party's 'on_message'. Nothing more may be sent once
+// the connection is closing.
+
+        if (closing !== undefined) {
+            return Promise.reject(closing.reason);
+        }
+        if (options.id !== undefined && !features.includes("ids")) {
+            return Promise.reject(unsupported("ids"));
+        }
+        return new Promise(function (resolve, reject) {
+            enqueue_record(
+                {type: "Send", channel: channel.id, id: options.id},
+                message,
+                options.compress !== false
+            );
+            channel.pending_acks.push({resolve, reject});
+        });
+    }
+
+    function status_send(message, channel, options = {}) {
+
+// Send a message over a channel with no delivery acknowledgement. The return
+// value indicates whether the sender may continue, or should wait for
+// 'on_drain'.
+
+        if (closing !== undefined) {
+            return false;
+        }
+        enqueue_record(
+            {type: "StatusSend", channel: channel.id},
+            message,
+            options.compress !== false
+        );
+        if (get_buffered_amount() < high_water_mark) {
+            return true;
+        }
+        needs_drain = true;
+        return false;
+    }
+
+    function request(message, options = {}) {
+
+// Send a message with the expectation of a reply. Requests are numbered, so
+// that replies may arrive in any order.
+
+        if (closing !== undefined) {
+            return Promise.reject(closing.reason);
+        }
+        if (!features.includes("requests")) {
+            return Promise.reject(unsupported("requests"));
+        }
+        return new Promise(function (resolve, reject) {
+            const id = next_request_id;
+            enqueue_record(
+                {type: "Request", id},
+                message,
+                options.compress !== false
+            );
+            next_request_id += 1;
+            pending_requests.set(id, {resolve, reject});
+        });
+    }
+
+    function reply(id, message) {
+
+// Call 'on_request' and send its return value, or the exception it throws, back
+// to the requesting party.
+
+        return new Promise(function (resolve) {
+            return resolve(on_request(seif_connection, message));
+        }).then(
+            function (value) {
+                return {value};
+            },
+            function (exception) {
+                return {error: encode_error(exception)};
+            }
+        ).then(function (reply_message) {
+            return enqueue_record({type: "Reply", id}, reply_message, true);
+        }).catch(function (exception) {
+
+// The value could not be encoded.
+
+            return enqueue_record(
+                {type: "Reply", id},
+                {error: encode_error(exception)}
+            );
+        });
+    }
+
+    function make_channel(channel_id, name) {
+
+// Make the state for a channel other than the main channel, including its
+// interface. The channel's handlers are filled in by the caller.
+
+        let channel = {
+            id: channel_id,
+            pending_acks: [],
+            acknowledgements: Promise.resolve(),
+            on_message: do_nothing,
+            on_close: do_nothing,
+            closed: undefined
+        };
+
+// Once the channel is closed, nothing more may be sent over it.
+
+        channel.interface = Object.freeze({
+            name,
+            send(message, options) {
+                if (channel.closed !== undefined) {
+                    return Promise.reject(channel.closed.reason);
+                }
+                return send(message, channel, options);
+            },
+            status_send(message, options) {
+                if (channel.closed !== undefined) {
+                    return false;
+                }
+                return status_send(message, channel, options);
+            },
+            close(reason) {
+                return close_channel(channel, reason, true);
+            }
+        });
+        channels.set(channel_id, channel);
+        return channel;
+    }
+
+    function make_closing_record(identifier, reason) {
+
+// Make a Close or CloseChannel record carrying the 'reason'. If the reason can
+// not be encoded, it is left out.
+
+        return new Promise(function (resolve) {
+            return resolve(make_record(identifier, {reason}, encrypt, codec));
+        }).catch(function () {
+            return make_record(identifier, {}, encrypt, codec);
+        });
+    }
+
+    function close_channel(channel, reason, closing) {
+
+// Close a channel, leaving the rest of the connection open. If we are the ones
+// 'closing' it, the other party is informed. Otherwise the other party has
+// closed it, and our 'on_close' handler is called.
+
+        if (channels.get(channel.id) !== channel) {
+            return;
+        }
+        channels.delete(channel.id);
+        channel.closed = {reason};
+        channel.pending_acks.forEach(function (pending) {
+            pending.reject(reason);
+        });
+        if (closing) {
+            enqueue(function () {
+                return make_closing_record(
+                    {type: "CloseChannel", channel: channel.id},
+                    reason
                 );
             });
+        } else {
+            channel.on_close(channel.interface, reason);
+        }
+    }
+
+    function open_channel(name, handlers = {}) {
+
+// Open a new channel, and inform the other party of it. Messages may be sent
+// over the channel right away.
+
+        if (!features.includes("channels")) {
+            throw unsupported("channels");
+        }
+        const channel = make_channel(next_channel_id, name);
+        next_channel_id += 2;
+        channel.on_message = handlers.on_message ?? do_nothing;
+        channel.on_close = handlers.on_close ?? do_nothing;
+        enqueue(function () {
+            return make_record(
+                {type: "OpenChannel", channel: channel.id},
+                {name},
+                encrypt,
+                codec
+            );
+        });
+        return channel.interface;
+    }
+
+    function close(reason) {
+
+// Close the connection gracefully. The records already queued are sent, then a
+// Close record carrying the 'reason'. The other party responds by sending any
+// records it has queued and closing the transport connection. If that takes
+// too long, or the other party does not support Close records, we close the
+// transport connection ourselves.
+
+        if (closing !== undefined) {
+            return;
+        }
+        if (!features.includes("close")) {
+            return destroy(reason, true);
+        }
+        closing = {reason, situation: true};
+        close_timer = setTimeout(function () {
+            return destroy(reason, true);
+        }, close_timeout);
+        enqueue(function () {
+            return make_closing_record({type: "Close"}, reason);
+        });
+    }
+
+    function derive_session_key(auth_hello_message) {
+
+// Derive the session key from the AuthHello message, using its ephemeral public
+// key plus our private key. If the "ephemeral" feature was chosen, we also use
+// the private key of the ephemeral keypair that made our handshake key. If we
+// are resuming a session, the ephemeral public key is on the resumption curve,
+// and the session key is derived with our ephemeral private key and the
+// resumption secret instead.
+
+        if (resumption !== undefined) {
+            return make_elliptic(webcrypto, resumption_curve).import_public_key(
+                auth_hello_message.resumeKey
+            ).then(function (ephemeral_public_key) {
+                return resumed_session_key(
+                    webcrypto,
+                    ephemeral_public_key,
+                    resumption.private_key,
+                    resumption.secret
+                );
+            });
+        }
+        return elliptic.import_public_key(
+            auth_hello_message.sessionKey
+        ).then(function (ephemeral_public_key) {
+            if (features.includes("ephemeral")) {
+                return mixed_session_key(
+                    webcrypto,
+                    ephemeral_public_key,
+                    private_key,
+                    ephemeral_public_key,
+                    ephemeral_private_key
+                );
+            }
+            return aes.derive_key(ephemeral_public_key, private_key);
+        });
+    }
+
+    function identify() {
+
+// Identify the connection by hashing the transcript of its handshake. Both
+// parties arrive at the same ID, but it reveals nothing that was not already
+// sent over the network.
+
+        return webcrypto.subtle.digest(
+            "SHA-256",
+            transcript.reduce(concat_buffers)
+        ).then(function (transcript_hash) {
+            connection_id = hex.encode(transcript_hash);
+            transcript = undefined;
+        });
+    }
+
+    function export_keying_material(label, length) {
+
+// Derive 'length' bytes of keying material for use outside of the connection.
+// The material is derived from the original session key, the connection ID and
+// the 'label', so both parties derive the same bytes but nobody else can.
+
+        return aes.export_key(exporter_key).then(function (secret) {
+            return aes.hkdf_bits(
+                secret,
+                hex.decode(connection_id),
+                "Seif exporter " + label,
+                length * 8
+            );
+        });
+    }
+
+    function issue_ticket(initiator_public_key) {
+
+// Issue the initiating party with a ticket, so that it can resume the session
+// later. We only issue tickets if we have a ticket key.
+
+        if (ticket_key === undefined || !features.includes("resume")) {
+            return;
+        }
+        enqueue(function () {
+            return make_ticket(
+                webcrypto,
+                ticket_key,
+                initiator_public_key,
+                ticket_lifetime
+            ).then(function (the_ticket) {
+                return make_record(
+                    {type: "Ticket"},
+                    the_ticket,
+                    encrypt,
+                    codec
+                );
+            });
+        });
+    }
+
+    function get_state() {
+        if (decryption_key === undefined) {
+            return "handshaking";
+        }
+        if (transport_connection === undefined) {
+            return "closed";
+        }
+        if (closing !== undefined) {
+            return "closing";
+        }
+        return "open";
+    }
+
+    function get_pending_acknowledgements() {
+        let nr_pending = main_channel.pending_acks.length;
+        channels.forEach(function (channel) {
+            nr_pending += channel.pending_acks.length;
         });
+        return nr_pending;
+    }
+
+    function make_seif_connection(listening) {
+
+// Make the interface for the Seif connection. Only a listening party may
+// redirect a connection.
+
+        let connection = {
+            send(message, options) {
+                return send(message, main_channel, options);
+            },
+            status_send(message, options) {
+                return status_send(message, main_channel, options);
+            },
+            request,
+            rekey,
+            open_channel,
+            close,
+            get buffered_amount() {
+                return get_buffered_amount();
+            },
+            get round_trip_time() {
+                return round_trip_time;
+            },
+            version,
+            features,
+            id: connection_id,
+            export_keying_material,
+            remote_public_key,
+            local_address: transport_info.local_address,
+            remote_address: transport_info.remote_address,
+            headers: transport_info.headers,
+            opened_at,
+            get state() {
+                return get_state();
+            },
+            get bytes_sent() {
+                return bytes_sent;
+            },
+            get bytes_received() {
+                return bytes_received;
+            },
+            get records_sent() {
+                return records_sent;
+            },
+            get records_received() {
+                return records_received;
+            },
+            get pending_acknowledgements() {
+                return get_pending_acknowledgements();
+            },
+            get last_activity() {
+                return Math.max(last_sent ?? opened_at, last_received ?? 0);
+            }
+        };
+        if (listening) {
+            connection.redirect = redirect;
+        }
+        main_channel.interface = Object.freeze(connection);
+        return main_channel.interface;
     }
 
-    function send(message) {
+    function acknowledge(message, channel, id) {
 
-// Send a message with the expectation that its delivery will be acknowledged.
+// Call the channel's 'on_message' and acknowledge the message once it has been
+// handled. If the handler fails, a negative acknowledgement is sent instead.
+// The sending party matches acknowledgements to messages by their order, so
+// the acknowledgements for each channel wait for each other on a separate
+// queue. We can not use the outgoing message queue for this, because that
+// would hold up every other outgoing message until the handler was done.
 
-        return new Promise(function (resolve, reject) {
+        const handled = new Promise(function (resolve) {
+            return resolve(
+                channel.on_message(channel.interface, message, id)
+            );
+        }).then(
+            function () {
+                return {};
+            },
+            function (exception) {
+                return {error: encode_error(exception)};
+            }
+        );
+        channel.acknowledgements = channel.acknowledgements.then(function () {
+            return handled;
+        }).then(function (acknowledge_message) {
             return enqueue(function () {
-                pending_acks.push({resolve, reject});
-                return make_record({type: "Send"}, message, encrypt);
+                return make_record(
+                    {type: "Acknowledge", channel: channel.id},
+                    acknowledge_message,
+                    encrypt,
+                    codec
+                );
             });
         });
     }
 
-    function status_send(message) {
+    function refuse(hello, reason) {
 
-// Send a message with no delivery acknowledgement.
+// Inform the initiating party that its Hello has been refused. The returned
+// Promise rejects with the 'reason' once the Refuse record has been sent. An
+// initiating party that did not offer the "refuse" feature would not recognize
+// the record, so we just close the connection instead.
 
-        enqueue(function () {
-            return make_record({type: "StatusSend"}, message, encrypt);
+        if (!hello.negotiated?.features.includes("refuse")) {
+            return Promise.reject(reason);
+        }
+        return make_record(
+            {type: "Refuse"},
+            {},
+            function encrypt_refusal(buffer) {
+                return aes.encrypt(
+                    buffer,
+                    hello.handshake_key,
+                    next_encryption_iv()
+                );
+            }
+        ).then(function (refuse_record) {
+            if (transport_connection !== undefined && !ended) {
+                send_record(refuse_record);
+            }
+            return Promise.reject(reason);
         });
     }
 
     function take(nr_bytes) {
 
-// Remove some bytes from the start of the incoming buffer and return them.
+// Remove some bytes from the start of the incoming chunks and return them as an
+// ArrayBuffer. If the bytes happen to make up exactly one chunk, no copy is
+// necessary.
+
+// Until the handshake is complete, the bytes are also added to the transcript.
 
-        const bytes = buffer.slice(0, nr_bytes);
-        buffer = buffer.slice(nr_bytes);
-        return bytes;
+        nr_buffered -= nr_bytes;
+        let taken;
+        if (chunk_offset === 0 && chunks[0]?.byteLength === nr_bytes) {
+            taken = chunks.shift();
+        } else {
+            let bytes = new Uint8Array(nr_bytes);
+            let position = 0;
+            let nr_spent = 0;
+            chunks.every(function (chunk) {
+                const amount = Math.min(
+                    chunk.byteLength - chunk_offset,
+                    nr_bytes - position
+                );
+                bytes.set(
+                    new Uint8Array(chunk, chunk_offset, amount),
+                    position
+                );
+                position += amount;
+                chunk_offset += amount;
+                if (chunk_offset === chunk.byteLength) {
+                    chunk_offset = 0;
+                    nr_spent += 1;
+                }
+                return position < nr_bytes;
+            });
+            chunks.splice(0, nr_spent);
+            taken = bytes.buffer;
+        }
+        if (decryption_key === undefined && transcript !== undefined) {
+            transcript.push(taken);
+        }
+        return taken;
     }
 
     function receive() {
@@ -569,15 +2537,34 @@ function make_consumer(
 // The identifier and blobs of an incoming record are available. Parse them into
 // a message and reset the incoming state, ready for the next record.
 
-        let {type} = identifier;
+        let {
+            type,
+            id,
+            stream,
+            channel: channel_id
+        } = identifier;
+        records_received += 1;
+
+// Messages on the main channel carry no channel ID. Messages on a channel that
+// we have closed are ignored.
+
+        const channel = (
+            channel_id === undefined
+            ? main_channel
+            : channels.get(channel_id)
+        );
         let message = {};
         try {
             identifier.blobs.forEach(function (blob, blob_nr) {
-                message[blob.id] = (
-                    blob.type === "JSON"
-                    ? decode_json(blob_buffers[blob_nr])
-                    : blob_buffers[blob_nr]
-                );
+                if (blob.type === "Stream" && decryption_key !== undefined) {
+                    message[blob.id] = open_stream(blob.stream);
+                } else if (blob.type === "JSON") {
+                    message[blob.id] = decode_json(blob_buffers[blob_nr]);
+                } else if (blob.type === "CBOR") {
+                    message[blob.id] = cbor.decode(blob_buffers[blob_nr]);
+                } else {
+                    message[blob.id] = blob_buffers[blob_nr];
+                }
             });
         } catch (exception) {
             return destroy(exception);
@@ -585,70 +2572,149 @@ function make_consumer(
         identifier = undefined;
         identifier_length = undefined;
         blob_buffers = [];
+        nr_held = 0;
 
 // Handle the message. Is the handshake still in progress?
 
-        if (session_key === undefined) {
+        if (decryption_key === undefined) {
             if (handshake_key === undefined) {
 
-// We have received the Hello message. Respond with an AuthHello message.
-
-                busy = true;
-                return auth_hello(
-                    webcrypto,
-                    message,
-                    private_key,
+// We have received the Hello message. Decrypt it, and give 'on_hello' a chance
+// to refuse the handshake before we respond with an AuthHello message. If the
+// Hello message carries a ticket, the initiating party is resuming a session.
 
 // Our IV generators are used for both the session and handshake keys. This is
 // not a problem, because they remain unique for each key.
 
-                    next_decryption_iv,
-                    next_encryption_iv
-                ).then(function (result) {
-                    if (transport_connection === undefined) {
-                        return;
-                    }
-                    transport_connection.send(result.auth_hello_record);
-                    session_key = result.session_key;
-                    seif_connection = Object.freeze({
-                        send,
-                        status_send,
-                        redirect,
-                        close(reason) {
-                            return destroy(reason, true);
+                busy = true;
+                return (
+                    message.ticket !== undefined
+                    ? decrypt_resume_hello(
+                        webcrypto,
+                        message,
+                        ticket_key,
+                        next_decryption_iv
+                    )
+                    : decrypt_hello(
+                        webcrypto,
+                        message,
+                        private_key,
+                        next_decryption_iv
+                    )
+                ).then(function (hello) {
+                    return new Promise(function (resolve) {
+                        return resolve(on_hello(
+                            hello.initiator_public_key,
+                            hello.hello_value,
+                            message.connectionInfo,
+                            transport_info
+                        ));
+                    }).then(
+                        function () {
+                            if (hello.secret !== undefined) {
+                                return resume_auth_hello(
+                                    webcrypto,
+                                    hello.handshake_key,
+                                    hello.resume_key,
+                                    hello.secret,
+                                    next_encryption_iv,
+                                    hello.negotiated
+                                );
+                            }
+                            return auth_hello(
+                                webcrypto,
+                                hello.handshake_key,
+                                hello.initiator_public_key,
+                                hello.ephemeral_public_key,
+                                next_encryption_iv,
+                                hello.negotiated
+                            );
+                        },
+                        function (reason) {
+
+// A refusal without a reason is still a refusal.
+
+                            return refuse(hello, reason ?? "refused");
+                        }
+                    ).then(function (result) {
+                        transcript.push(result.auth_hello_record);
+                        return identify().then(function () {
+                            return result;
+                        });
+                    }).then(function (result) {
+
+// The transport connection may have been closed, or ended by the other end,
+// while we were waiting for 'on_hello'.
+
+                        if (transport_connection === undefined) {
+                            return;
                         }
+                        if (ended) {
+                            return destroy(end_reason);
+                        }
+                        send_record(result.auth_hello_record);
+                        encryption_key = result.session_key;
+                        decryption_key = result.session_key;
+                        exporter_key = result.session_key;
+                        remote_public_key = hello.initiator_public_key;
+                        agree(hello.negotiated);
+                        schedule_rekey();
+                        start_liveness();
+                        issue_ticket(hello.initiator_public_key);
+                        opened_at = Date.now();
+                        seif_connection = make_seif_connection(true);
+                        on_open(
+                            seif_connection,
+                            hello.initiator_public_key,
+                            hello.hello_value,
+                            message.connectionInfo
+                        );
+                        busy = false;
+                        return consume();
                     });
-                    on_open(
-                        seif_connection,
-                        result.initiator_public_key,
-                        result.hello_value,
-                        message.connectionInfo
-                    );
-                    busy = false;
                 }).catch(
                     destroy
                 );
             }
 
-// We have received the AuthHello message. Derive the session key using the
-// ephemeral public key plus our private key.
+// We are the initiating party. If the listening party has refused our Hello,
+// there is nothing more to be done.
 
-            busy = true;
-            return elliptic.import_public_key(
-                message.sessionKey
-            ).then(function (ephemeral_public_key) {
-                return aes.derive_key(ephemeral_public_key, private_key);
-            }).then(function (the_session_key) {
-                session_key = the_session_key;
-                seif_connection = Object.freeze({
-                    send,
-                    status_send,
-                    close(reason) {
-                        return destroy(reason, true);
-                    }
+            if (type === "Refuse") {
+                return destroy("refused");
+            }
+
+// We have received the AuthHello message. Adopt the chosen version and
+// features, if any were chosen.
+
+            if (message.features !== undefined) {
+                const chosen_version = message.version ?? 0;
+                if (!supported_versions.includes(chosen_version)) {
+                    return destroy(new Error("Unsupported Seif version."));
+                }
+                agree({
+                    version: chosen_version,
+                    features: choose_features(message.features)
                 });
+            }
+
+// Derive the session key, and identify the connection.
+
+            busy = true;
+            return Promise.all([
+                derive_session_key(message),
+                identify()
+            ]).then(function ([session_key]) {
+                encryption_key = session_key;
+                decryption_key = session_key;
+                exporter_key = session_key;
+                schedule_rekey();
+                start_liveness();
+                opened_at = Date.now();
+                seif_connection = make_seif_connection(false);
                 on_open(seif_connection);
                 busy = false;
+                return consume();
             }).catch(
                 destroy
             );
@@ -669,36 +2735,313 @@ function make_consumer(
                     message.redirectContext
                 );
                 busy = false;
+                return consume();
             }).catch(
                 destroy
             );
         }
         if (type === "Send") {
+            if (channel === undefined) {
+                return consume();
+            }
+
+// A message with an ID is always acknowledged once it has been handled, so
+// that its sender can be sure it was not lost.
+
+            if (async_acknowledge || id !== undefined) {
+                acknowledge(message, channel, id);
+                return consume();
+            }
             enqueue(function () {
-                return make_record({type: "Acknowledge"}, {}, encrypt);
+                return make_record(
+                    {type: "Acknowledge", channel: channel.id},
+                    {},
+                    encrypt,
+                    codec
+                );
             });
-            on_message(seif_connection, message);
+            channel.on_message(channel.interface, message, id);
             return consume();
         }
         if (type === "Acknowledge") {
-            const pending = pending_acks.shift();
+            if (channel === undefined) {
+                return consume();
+            }
+            const pending = channel.pending_acks.shift();
             if (pending === undefined) {
                 return destroy("Unexpected acknowledgement.");
             }
-            pending.resolve();
+            if (message.error !== undefined) {
+                pending.reject(decode_error(message.error));
+            } else {
+                pending.resolve();
+            }
             return consume();
         }
         if (type === "StatusSend") {
-            on_message(seif_connection, message);
+            if (channel !== undefined) {
+                channel.on_message(channel.interface, message);
+            }
+            return consume();
+        }
+        if (type === "OpenChannel") {
+
+// The other party has opened a channel. The 'on_channel' handler returns an
+// object containing the channel's handlers, or undefined if the channel is not
+// wanted.
+
+            if (
+                !Number.isSafeInteger(channel_id)
+                || channel_id % 2 === next_channel_id % 2
+                || channels.has(channel_id)
+            ) {
+                return destroy("Bad channel.");
+            }
+            const new_channel = make_channel(channel_id, message.name);
+            const handlers = on_channel(
+                seif_connection,
+                new_channel.interface,
+                message.name
+            );
+            if (handlers === undefined) {
+                close_channel(new_channel, undefined, true);
+            } else {
+                new_channel.on_message = handlers.on_message ?? do_nothing;
+                new_channel.on_close = handlers.on_close ?? do_nothing;
+            }
+            return consume();
+        }
+        if (type === "CloseChannel") {
+            if (channel !== undefined && channel !== main_channel) {
+                close_channel(channel, message.reason, false);
+            }
+            return consume();
+        }
+        if (type === "Request") {
+            reply(id, message);
+            return consume();
+        }
+        if (type === "Chunk") {
+
+// A chunk of an incoming stream has arrived. If the stream has been cancelled,
+// the chunk is discarded.
+
+            if (message.data?.constructor !== ArrayBuffer) {
+                return destroy("Bad chunk.");
+            }
+            const incoming = incoming_streams.get(stream);
+            if (incoming !== undefined) {
+                incoming.received += message.data.byteLength;
+                if (incoming.received > incoming.granted) {
+                    return destroy("Stream overflow.");
+                }
+                incoming.controller.enqueue(new Uint8Array(message.data));
+            }
+            return consume();
+        }
+        if (type === "End") {
+            const finished = incoming_streams.get(stream);
+            if (finished !== undefined) {
+                incoming_streams.delete(stream);
+                if (message.error !== undefined) {
+                    finished.controller.error(decode_error(message.error));
+                } else {
+                    finished.controller.close();
+                }
+            }
+            return consume();
+        }
+        if (type === "Pull") {
+
+// The receiving party is ready for more of one of our streams. A length that is
+// not a count of bytes would spoil the stream's credit.
+
+            if (!Number.isSafeInteger(message.length) || message.length < 0) {
+                return destroy("Bad pull.");
+            }
+            const outgoing = outgoing_streams.get(stream);
+            if (outgoing !== undefined) {
+                outgoing.credit += message.length;
+                if (outgoing.on_credit !== undefined) {
+                    const next = outgoing.on_credit;
+                    delete outgoing.on_credit;
+                    next();
+                }
+            }
+            return consume();
+        }
+        if (type === "Cancel") {
+
+// The receiving party has cancelled one of our streams.
+
+            const cancelled = outgoing_streams.get(stream);
+            if (cancelled !== undefined) {
+                outgoing_streams.delete(stream);
+                cancelled.reader.cancel(
+                    message.reason === undefined
+                    ? undefined
+                    : decode_error(message.reason)
+                );
+            }
+            return consume();
+        }
+        if (type === "Rekey") {
+
+// The other party wants to rekey. Should both parties want to rekey at once,
+// the initiating party takes the lead.
+
+            if (rekeying === undefined) {
+                begin_rekeying(false);
+            } else {
+                if (!rekeying.leading) {
+                    return destroy("Unexpected rekey.");
+                }
+                if (initiating) {
+                    return consume();
+                }
+                rekeying.leading = false;
+            }
+            const the_rekeying = rekeying;
+            enqueue(function () {
+                return Promise.all([
+                    elliptic.import_public_key(message.publicKey),
+                    elliptic.generate_keypair()
+                ]).then(function ([public_key, ephemeral]) {
+                    return Promise.all([
+                        aes.derive_key(public_key, ephemeral.privateKey),
+                        elliptic.export_public_key(ephemeral.publicKey)
+                    ]);
+                }).then(function ([key, public_key_buffer]) {
+                    the_rekeying.key = key;
+                    return make_record(
+                        {type: "RekeyReply"},
+                        {publicKey: public_key_buffer},
+                        encrypt,
+                        codec
+                    );
+                }).then(function (rekey_reply_record) {
+                    switch_encryption_key(the_rekeying.key);
+                    return rekey_reply_record;
+                });
+            });
+            return consume();
+        }
+        if (type === "RekeyReply") {
+
+// Our Rekey has been answered. The other party is now encrypting with the new
+// key.
+
+            const our_rekeying = rekeying;
+            if (
+                our_rekeying?.private_key === undefined
+                || !our_rekeying.leading
+            ) {
+                return destroy("Unexpected rekey.");
+            }
+            busy = true;
+            return elliptic.import_public_key(
+                message.publicKey
+            ).then(function (public_key) {
+                return aes.derive_key(public_key, our_rekeying.private_key);
+            }).then(function (key) {
+                switch_decryption_key(key);
+                enqueue(function () {
+                    return make_record(
+                        {type: "Rekeyed"},
+                        {},
+                        encrypt,
+                        codec
+                    ).then(function (rekeyed_record) {
+                        switch_encryption_key(key);
+                        return rekeyed_record;
+                    });
+                }).then(function () {
+                    return end_rekeying(our_rekeying);
+                });
+                busy = false;
+                return consume();
+            }).catch(
+                destroy
+            );
+        }
+        if (type === "Rekeyed") {
+
+// The leading party has switched to the new key, and so must we.
+
+            if (rekeying?.key === undefined || rekeying.leading) {
+                return destroy("Unexpected rekey.");
+            }
+            switch_decryption_key(rekeying.key);
+            end_rekeying(rekeying);
+            return consume();
+        }
+        if (type === "Ping") {
+            enqueue(function () {
+                return make_record({type: "Pong"}, {}, encrypt, codec);
+            });
+            return consume();
+        }
+        if (type === "Pong") {
+            if (ping_sent === undefined || ping_sent === Infinity) {
+                return destroy("Unexpected pong.");
+            }
+            round_trip_time = Date.now() - ping_sent;
+            ping_sent = undefined;
+            return consume();
+        }
+        if (type === "Reply") {
+            const pending_request = pending_requests.get(id);
+            if (pending_request === undefined) {
+                return destroy("Unexpected reply.");
+            }
+            pending_requests.delete(id);
+            if (message.error !== undefined) {
+                pending_request.reject(decode_error(message.error));
+            } else {
+                pending_request.resolve(message.value);
+            }
+            return consume();
+        }
+        if (type === "Ticket") {
+            on_ticket(Object.freeze({
+                ticket: message.ticket,
+                secret: message.secret,
+                expires: message.expires
+            }));
+            return consume();
+        }
+        if (type === "Close") {
+
+// The other party is closing the connection. Send any records that we have
+// queued, then close the transport connection.
+
+            if (closing === undefined) {
+                closing = {reason: message.reason};
+                enqueue(function () {
+                    destroy();
+                    return Promise.resolve();
+                });
+            }
             return consume();
         }
         return destroy("Unrecognized message type.");
     }
 
+    function wait_for_bytes() {
+
+// There are not enough bytes in the buffer to proceed. If the transport
+// connection has ended, no more bytes will arrive so the Seif connection is
+// closed.
+
+        if (ended) {
+            return destroy(end_reason);
+        }
+    }
+
     function consume() {
 
 // The 'consume' function processes incoming messages as they become available.
-// It recurses, working it way thru the 'buffer' until it needs to wait for more
+// It recurses, working it way thru the 'chunks' until it needs to wait for more
 // bytes.
 
         if (transport_connection === undefined || busy) {
@@ -710,19 +3053,22 @@ function make_consumer(
 // is segmented like [identifier_length, identifier, ...blob_buffers].
 
             if (identifier_length === undefined) {
-                if (buffer.byteLength < 2) {
-                    return;
+                if (nr_buffered < 2) {
+                    return wait_for_bytes();
                 }
 
 // Read the first two bytes to get the length of the identifier. The Seif
 // specification does not specify endianness, so big-endian it is.
 
                 identifier_length = new DataView(take(2)).getUint16(0);
+                if (identifier_length > max_identifier_length) {
+                    return destroy("identifier too long");
+                }
             }
-            if (buffer.byteLength < identifier_length) {
-                return;
+            if (nr_buffered < identifier_length) {
+                return wait_for_bytes();
             }
-            if (session_key === undefined && handshake_key === undefined) {
+            if (decryption_key === undefined && handshake_key === undefined) {
 
 // The Hello record is unique in that it sends its identifier in the clear.
 
@@ -731,6 +3077,12 @@ function make_consumer(
                 } catch (exception) {
                     return destroy(exception);
                 }
+                if (
+                    !is_identifier(identifier)
+                    || !is_hello_identifier(identifier)
+                ) {
+                    return destroy(new Error("Bad identifier."));
+                }
                 return consume();
             }
 
@@ -739,7 +3091,10 @@ function make_consumer(
             busy = true;
             return decrypt(take(identifier_length)).then(
                 function (identifier_buffer) {
-                    identifier = decode_json(identifier_buffer);
+                    identifier = codec.decode(identifier_buffer);
+                    if (!is_identifier(identifier)) {
+                        return destroy(new Error("Bad identifier."));
+                    }
                     busy = false;
                     return consume();
                 }
@@ -748,21 +3103,42 @@ function make_consumer(
             );
         }
 
-// Now for the blobs.
+// Now for the blobs. Before we wait for any of them to arrive, make sure that
+// none is too long, and that together they will fit in the buffer.
 
+        if (blob_buffers.length === 0) {
+            if (identifier.blobs.some(function (blob) {
+                return blob.length > max_blob_length;
+            })) {
+                return destroy("blob too long");
+            }
+            if (identifier.blobs.reduce(function (total, blob) {
+                return total + blob.length;
+            }, 0) > max_buffered_bytes) {
+                return destroy("buffer overflow");
+            }
+        }
         if (blob_buffers.length < identifier.blobs.length) {
 
 // Decrypt the next blob, if it has arrived.
 
             const blob = identifier.blobs[blob_buffers.length];
-            if (session_key === undefined && handshake_key === undefined) {
+            if (decryption_key === undefined && handshake_key === undefined) {
 
 // We are receving a Hello record, which arrives in the clear.
 
-                if (buffer.byteLength < blob.length) {
-                    return;
+                if (nr_buffered < blob.length) {
+                    return wait_for_bytes();
                 }
                 blob_buffers.push(take(blob.length));
+                nr_held += blob.length;
+                return consume();
+            }
+
+// Streams do not occupy any space in the record.
+
+            if (blob.type === "Stream") {
+                blob_buffers.push(undefined);
                 return consume();
             }
 
@@ -770,14 +3146,24 @@ function make_consumer(
 // authentication tag.
 
             const ciphertext_length = blob.length + 16;
-            if (buffer.byteLength < ciphertext_length) {
-                return;
+            if (nr_buffered < ciphertext_length) {
+                return wait_for_bytes();
             }
             busy = true;
             return decrypt(
                 take(ciphertext_length)
             ).then(function (decrypted_buffer) {
-                blob_buffers.push(decrypted_buffer);
+                return (
+                    blob.compressed
+                    ? decompress(
+                        decrypted_buffer,
+                        Math.min(max_blob_length, max_decompressed_length)
+                    )
+                    : decrypted_buffer
+                );
+            }).then(function (plaintext_buffer) {
+                blob_buffers.push(plaintext_buffer);
+                nr_held += plaintext_buffer.byteLength;
                 busy = false;
                 return consume();
             }).catch(
@@ -793,14 +3179,36 @@ function make_consumer(
 
     return Object.freeze({
         consume(chunk) {
-            buffer = concat_buffers(buffer, chunk);
+            last_received = Date.now();
+            bytes_received += chunk.byteLength;
+
+// Bytes that have been decrypted, but not yet handled, count toward the limit.
+
+            if (
+                nr_buffered + nr_held + chunk.byteLength > max_buffered_bytes
+            ) {
+                return destroy("buffer overflow");
+            }
+            if (chunk.byteLength > 0) {
+                chunks.push(chunk);
+                nr_buffered += chunk.byteLength;
+            }
             consume();
         },
-        get_seif_connection() {
-            return seif_connection;
-        },
         transport_closed(reason) {
             destroy(reason, false);
+        },
+        transport_drained() {
+            check_drain();
+        },
+        transport_ended(reason) {
+
+// The transport connection was closed by the other end. Any bytes that arrived
+// beforehand are consumed before 'on_close' is called.
+
+            ended = true;
+            end_reason = reason;
+            consume();
         }
     });
 }
@@ -812,26 +3220,72 @@ function listen({
     address,
     on_open,
     on_message,
-    on_close
+    on_request,
+    on_close,
+    on_hello,
+    on_drain,
+    async_acknowledge,
+    high_water_mark,
+    rekey_records,
+    rekey_bytes,
+    rekey_interval,
+    heartbeat_interval,
+    idle_timeout,
+    handshake_timeout,
+    close_timeout,
+    max_identifier_length,
+    max_blob_length,
+    max_decompressed_length,
+    max_buffered_bytes,
+    on_channel,
+    ticket_lifetime
 }) {
     let consumer_map = new Map();
 
+// If we issue tickets, our ticket key is derived from our own keypair. That way
+// it is always available, and it changes whenever the keypair does.
+
+    const ticket_key = (
+        ticket_lifetime > 0
+        ? make_aes(webcrypto).derive_key(keypair.publicKey, keypair.privateKey)
+        : undefined
+    );
+
     function on_transport_open(transport_connection) {
         consumer_map.set(
             transport_connection,
-            make_consumer(
+            make_consumer({
                 webcrypto,
                 transport_connection,
-                keypair.privateKey,
-                iv(1),
-                iv(0),
+                private_key: keypair.privateKey,
+                next_encryption_iv: iv(1),
+                next_decryption_iv: iv(0),
                 on_open,
                 on_message,
-                function on_consumer_close(...args) {
+                on_request,
+                on_close: function on_consumer_close(...args) {
                     consumer_map.delete(transport_connection);
                     return on_close(...args);
-                }
-            )
+                },
+                on_hello,
+                on_drain,
+                async_acknowledge,
+                high_water_mark,
+                rekey_records,
+                rekey_bytes,
+                rekey_interval,
+                heartbeat_interval,
+                idle_timeout,
+                handshake_timeout,
+                close_timeout,
+                max_identifier_length,
+                max_blob_length,
+                max_decompressed_length,
+                max_buffered_bytes,
+                on_channel,
+                ticket_key,
+                ticket_lifetime
+            })
         );
     }
 
@@ -845,9 +3299,14 @@ function listen({
     function on_transport_close(transport_connection, reason) {
         const consumer = consumer_map.get(transport_connection);
         if (consumer !== undefined) {
-            consumer.transport_closed(reason);
-            consumer_map.delete(transport_connection);
-            return on_close(consumer.get_seif_connection(), reason);
+            return consumer.transport_ended(reason);
+        }
+    }
+
+    function on_transport_drain(transport_connection) {
+        const consumer = consumer_map.get(transport_connection);
+        if (consumer !== undefined) {
+            return consumer.transport_drained();
         }
     }
 
@@ -855,7 +3314,8 @@ function listen({
         address,
         on_transport_open,
         on_transport_receive,
-        on_transport_close
+        on_transport_close,
+        on_transport_drain
     );
     return function stop(reason) {
         stop_transport();
@@ -876,13 +3336,38 @@ function connect({
     connection_info,
     on_open,
     on_message,
-    on_close
+    on_request,
+    on_close,
+    on_drain,
+    async_acknowledge,
+    high_water_mark,
+    rekey_records,
+    rekey_bytes,
+    rekey_interval,
+    heartbeat_interval,
+    idle_timeout,
+    handshake_timeout,
+    close_timeout,
+    max_identifier_length,
+    max_blob_length,
+    max_decompressed_length,
+    max_buffered_bytes,
+    on_channel,
+    ticket,
+    on_ticket = do_nothing,
+    max_redirects = 10
 }) {
     let transport_connection;
     let consumer;
     let close_transport;
     let on_redirect;
 
+// The destinations we have been sent to so far, starting with the first. Being
+// sent to one of them again means that the listening parties are bouncing us
+// around in a loop.
+
+    let destinations = [];
+
     function on_transport_receive(ignore, chunk) {
         if (consumer !== undefined) {
             return consumer.consume(chunk);
@@ -894,46 +3379,98 @@ function connect({
     function on_transport_close(ignore, reason) {
         transport_connection = undefined;
         if (consumer !== undefined) {
-            consumer.transport_closed(reason);
-            return on_close(consumer.get_seif_connection(), reason);
+            return consumer.transport_ended(reason);
         }
         return on_close(undefined, reason);
     }
 
+    function on_transport_drain() {
+        if (consumer !== undefined) {
+            return consumer.transport_drained();
+        }
+    }
+
     function on_transport_open(the_transport_connection) {
         transport_connection = the_transport_connection;
 
 // Initiate the handshake.
 
+// If we hold a ticket that has not expired, we attempt to resume a session
+// instead.
+
         const next_encryption_iv = iv(0);
         const next_decryption_iv = iv(1);
-        return hello(
-            webcrypto,
-            keypair.publicKey,
-            remote_public_key,
-            next_encryption_iv(),
-            connection_info,
-            hello_value
+        return (
+            (ticket !== undefined && Date.now() < ticket.expires)
+            ? resume_hello(
+                webcrypto,
+                ticket,
+                next_encryption_iv(),
+                connection_info,
+                hello_value
+            )
+            : hello(
+                webcrypto,
+                keypair.publicKey,
+                remote_public_key,
+                next_encryption_iv(),
+                connection_info,
+                hello_value
+            )
         ).then(
-            function ({hello_record, handshake_key}) {
+            function ({
+                hello_record,
+                handshake_key,
+                resumption,
+                ephemeral_private_key
+            }) {
                 if (transport_connection === undefined) {
                     return;
                 }
-                consumer = make_consumer(
+                consumer = make_consumer({
                     webcrypto,
                     transport_connection,
-                    keypair.privateKey,
+                    private_key: keypair.privateKey,
                     next_encryption_iv,
                     next_decryption_iv,
                     on_open,
                     on_message,
-                    function on_consumer_close(...args) {
+                    on_request,
+                    on_close: function on_consumer_close(...args) {
+                        const [connection, reason] = args;
                         transport_connection = undefined;
+                        if (
+                            resumption !== undefined
+                            && connection === undefined
+                            && reason !== "refused"
+                        ) {
+                            return resumption_failed();
+                        }
                         return on_close(...args);
                     },
                     on_redirect,
-                    handshake_key
-                );
+                    on_drain,
+                    handshake_key,
+                    async_acknowledge,
+                    high_water_mark,
+                    rekey_records,
+                    rekey_bytes,
+                    rekey_interval,
+                    heartbeat_interval,
+                    idle_timeout,
+                    handshake_timeout,
+                    close_timeout,
+                    max_identifier_length,
+                    max_blob_length,
+                    max_decompressed_length,
+                    max_buffered_bytes,
+                    on_channel,
+                    on_ticket,
+                    resumption,
+                    ephemeral_private_key,
+                    hello_record,
+                    remote_public_key
+                });
                 transport_connection.send(hello_record);
             }
         ).catch(
@@ -944,47 +3481,118 @@ function connect({
         );
     }
 
+    function resumption_failed() {
+
+// The resumption failed, perhaps because the ticket was rejected by the
+// listening party. Its keypair may have changed, or it may not be the party
+// that issued the ticket. Forget the ticket and start over with a full
+// handshake.
+
+        close_transport();
+        consumer = undefined;
+        ticket = undefined;
+        on_ticket(undefined);
+        close_transport = transport_connect(
+            address,
+            on_transport_open,
+            on_transport_receive,
+            on_transport_close,
+            on_transport_drain
+        );
+    }
+
     on_redirect = function (
         connection,
-        address,
+        redirect_address,
         public_key,
         permanent,
         redirect_context
     ) {
 
-// We have been redirected. Close the current connection and connect to the
-// specified party instead.
+// We have been redirected. Close the current connection.
 
+        let cancelled = false;
         close_transport();
         consumer.transport_closed("Redirected.");
         consumer = undefined;
         transport_connection = undefined;
-        on_close(
-            connection,
-            undefined,
-            address,
-            public_key,
-            permanent,
-            redirect_context
+
+// We follow the redirect unless it exceeds our limit or leads somewhere we have
+// already been. Should 'close' be called in the meantime, we go nowhere.
+
+        close_transport = function () {
+            cancelled = true;
+        };
+        if (destinations.length === 0) {
+            destinations.push(
+                destination(webcrypto, address, remote_public_key)
+            );
+        }
+        const next_destination = destination(
+            webcrypto,
+            redirect_address,
+            public_key
         );
+        return Promise.all([
+            next_destination,
+            ...destinations
+        ]).then(function ([next, ...previous]) {
+            if (cancelled) {
+                return;
+            }
+            if (destinations.length > max_redirects) {
+                return on_close(connection, "too many redirects");
+            }
+            if (previous.includes(next)) {
+                return on_close(connection, "redirect loop");
+            }
+            destinations.push(next_destination);
+            on_close(
+                connection,
+                undefined,
+                redirect_address,
+                public_key,
+                permanent,
+                redirect_context
+            );
+            if (cancelled) {
+                return;
+            }
 
 // Update some of the parameters and start over.
 
-        remote_public_key = public_key;
-        connection_info = redirect_context;
-        close_transport = transport_connect(
-            address,
-            on_transport_open,
-            on_transport_receive,
-            on_transport_close
-        );
+            address = redirect_address;
+            remote_public_key = public_key;
+            connection_info = redirect_context;
+
+// Our ticket is no good to the new listening party. Tickets issued by a
+// temporary redirect target are not reported, because the next connection is
+// made to the original party.
+
+            ticket = undefined;
+            if (!permanent) {
+                on_ticket = do_nothing;
+            }
+            close_transport = transport_connect(
+                address,
+                on_transport_open,
+                on_transport_receive,
+                on_transport_close,
+                on_transport_drain
+            );
+        }, function (reason) {
+            if (!cancelled) {
+                return on_close(connection, reason);
+            }
+        });
     };
 
     close_transport = transport_connect(
         address,
         on_transport_open,
         on_transport_receive,
-        on_transport_close
+        on_transport_close,
+        on_transport_drain
     );
     return function close(reason) {
         transport_connection = undefined;
@@ -273,12 +273,64 @@ function filesystem_store(
             });
         });
     }
+    function write_outbox(petname, buffer) {
+        return ensure_directory().then(function () {
+            return write("outbox_" + petname, new Uint8Array(buffer));
+        });
+    }
+    function read_outbox(petname) {
+        return read("outbox_" + petname).then(function (buffer) {
+            if (buffer === undefined) {
+                return;
+            }
+
+// Copy the bytes into an ArrayBuffer of their own, because the file's contents
+// may occupy part of a larger, shared buffer.
+
+            return new Uint8Array(buffer).slice().buffer;
+        });
+    }
+    function inbox_name(sender, outbox_id) {
+
+// The sender's public key and the outbox ID are too long, and too untrusted, to
+// appear in a filename. We use a hash of them instead.
+
+        return webcrypto.subtle.digest(
+            "SHA-256",
+            new TextEncoder().encode(sender + "/" + outbox_id)
+        ).then(function (digest) {
+            return "inbox_" + hex.encode(digest);
+        });
+    }
+    function write_inbox(sender, outbox_id, sequence) {
+        return Promise.all([
+            inbox_name(sender, outbox_id),
+            ensure_directory()
+        ]).then(function ([name]) {
+            return write(
+                name,
+                new TextEncoder().encode(JSON.stringify(sequence))
+            );
+        });
+    }
+    function read_inbox(sender, outbox_id) {
+        return inbox_name(sender, outbox_id).then(read).then(function (buffer) {
+            if (buffer === undefined) {
+                return;
+            }
+            return JSON.parse(new TextDecoder().decode(buffer));
+        });
+    }
     return Object.freeze({
         write_keypair,
         read_keypair,
         add_acquaintance,
         remove_acquaintance,
-        read_acquaintance
+        read_acquaintance,
+        write_outbox,
+        read_outbox,
+        write_inbox,
+        read_inbox
     });
 }
 
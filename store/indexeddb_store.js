@@ -28,7 +28,7 @@ function indexeddb_store(db_name) {
 // specific usage of IndexedDB.
 
         return new Promise(function (resolve, reject) {
-            const open = window.indexedDB.open(db_name, 1);
+            const open = window.indexedDB.open(db_name, 2);
             open.onupgradeneeded = function (event) {
                 if (event.oldVersion < 1) {
 
@@ -43,6 +43,19 @@ function indexeddb_store(db_name) {
                         {keyPath: "id"}
                     );
                 }
+                if (event.oldVersion < 2) {
+
+// Version 2 added outboxes and inboxes.
+
+                    open.result.createObjectStore(
+                        "outboxes",
+                        {keyPath: "petname"}
+                    );
+                    open.result.createObjectStore(
+                        "inboxes",
+                        {keyPath: ["sender", "outbox_id"]}
+                    );
+                }
             };
             open.onsuccess = function () {
 
@@ -111,12 +124,40 @@ function indexeddb_store(db_name) {
             return store.get(petname);
         });
     }
+    function write_outbox(petname, buffer) {
+        return request("outboxes", function (store) {
+            return store.put({petname, buffer});
+        });
+    }
+    function read_outbox(petname) {
+        return request("outboxes", function (store) {
+            return store.get(petname);
+        }).then(function (value) {
+            return value?.buffer;
+        });
+    }
+    function write_inbox(sender, outbox_id, sequence) {
+        return request("inboxes", function (store) {
+            return store.put({sender, outbox_id, sequence});
+        });
+    }
+    function read_inbox(sender, outbox_id) {
+        return request("inboxes", function (store) {
+            return store.get([sender, outbox_id]);
+        }).then(function (value) {
+            return value?.sequence;
+        });
+    }
     return Object.freeze({
         write_keypair,
         read_keypair,
         add_acquaintance,
         remove_acquaintance,
-        read_acquaintance
+        read_acquaintance,
+        write_outbox,
+        read_outbox,
+        write_inbox,
+        read_inbox
     });
 }
 
@@ -0,0 +1,1997 @@
+// Tests of WebSeif's behaviour, conducted over the memory transport so that no
+// network is required. Run this script in Node.js or Deno. Each test is
+// reported as it finishes, and the script fails if any test fails.
+
+/*jslint node, deno */
+
+import make_elliptic from "./elliptic.js";
+import protocol from "./protocol.js";
+import party from "./party.js";
+import delivery from "./outbox.js";
+import memory_transport from "./transport/memory_transport.js";
+import conformance from "./transport/conformance.js";
+
+// A test that has not finished after 'timeout' milliseconds has failed, unless
+// it is given longer.
+
+const timeout = 5000;
+
+// The transport conformance suite runs a check at a time, each of which may
+// take a few seconds.
+
+const conformance_timeout = 60000;
+
+// Identifiers that a Hello record must not be allowed to carry. Each one is
+// sent in the clear, as the first record of a connection.
+
+const malformed_identifiers = [
+    "{}",
+    "[]",
+    "null",
+    "\"Hello\"",
+    "{\"type\": \"Hello\"}",
+    "{\"type\": 1, \"blobs\": []}",
+    "{\"type\": \"Hello\", \"blobs\": {}}",
+    "{\"type\": \"Hello\", \"blobs\": [null]}",
+    "{\"type\": \"Hello\", \"blobs\": [{\"type\": \"JSON\", \"length\": 1}]}",
+    "{\"type\": \"Hello\", \"blobs\": [{\"id\": \"a\", \"length\": 1}]}",
+    "{\"type\": \"Hello\", \"blobs\": [{\"id\": \"a\", \"type\": \"JSON\"}]}",
+    "{\"type\": \"Hello\", \"blobs\": [{\"id\": \"a\", \"type\": \"Nope\", "
+    + "\"length\": 1}]}",
+    "{\"type\": \"Hello\", \"blobs\": [{\"id\": \"a\", \"type\": \"JSON\", "
+    + "\"length\": -1}]}",
+    "{\"type\": \"Hello\", \"blobs\": [{\"id\": \"a\", \"type\": \"JSON\", "
+    + "\"length\": 1.5}]}",
+    "{\"type\": \"Hello\", \"blobs\": [{\"id\": \"a\", \"type\": \"JSON\", "
+    + "\"length\": 1}]}",
+    "{\"type\": \"Hello\", \"blobs\": [{\"id\": \"helloData\", \"type\": "
+    + "\"Buffer\", \"length\": 1}, {\"id\": \"helloData\", \"type\": "
+    + "\"Buffer\", \"length\": 1}]}",
+    "{\"type\": \"Goodbye\", \"blobs\": []}"
+];
+
+function do_nothing() {
+    return;
+}
+
+function wait(milliseconds) {
+    return new Promise(function (resolve) {
+        return setTimeout(resolve, milliseconds);
+    });
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function memory_store(keypair, acquaintances = {}) {
+
+// A store that keeps everything in memory, including the outboxes and inboxes.
+// Parties made with the same store share what it remembers, as though one had
+// restarted as the other.
+
+    let outboxes = new Map();
+    let inboxes = new Map();
+    return Object.freeze({
+        read_keypair() {
+            return Promise.resolve(keypair);
+        },
+        read_acquaintance(petname) {
+            return Promise.resolve(acquaintances[petname]);
+        },
+        add_acquaintance(acquaintance) {
+            acquaintances[acquaintance.petname] = acquaintance;
+            return Promise.resolve();
+        },
+        write_outbox(petname, buffer) {
+            outboxes.set(petname, buffer);
+            return Promise.resolve();
+        },
+        read_outbox(petname) {
+            return Promise.resolve(outboxes.get(petname));
+        },
+        write_inbox(sender, outbox_id, sequence) {
+            inboxes.set(sender + "/" + outbox_id, sequence);
+            return Promise.resolve();
+        },
+        read_inbox(sender, outbox_id) {
+            return Promise.resolve(inboxes.get(sender + "/" + outbox_id));
+        }
+    });
+}
+
+let nr_addresses = 0;
+const first_port = 30000 + Math.floor(Math.random() * 10000);
+
+function make_memory_address() {
+    nr_addresses += 1;
+    return "conformance " + nr_addresses;
+}
+
+function make_tcp_address() {
+    nr_addresses += 1;
+    return "127.0.0.1:" + (first_port + nr_addresses);
+}
+
+function check_conformance(transport, make_address) {
+
+// Run the transport conformance suite, failing with the names of the checks
+// that the 'transport' did not pass.
+
+    return conformance(transport, make_address).then(function (results) {
+        const failed = results.filter(function (result) {
+            return !result.passed;
+        });
+        assert(
+            failed.length === 0,
+            "Failed " + failed.map(function ({name, reason}) {
+                return name + " (" + reason?.message + ")";
+            }).join(", ") + "."
+        );
+    });
+}
+
+function plaintext_record(identifier_json) {
+
+// Make a record whose identifier is sent in the clear, as a Hello's is.
+
+    const identifier = new TextEncoder().encode(identifier_json);
+    let record = new Uint8Array(2 + identifier.length);
+    new DataView(record.buffer).setUint16(0, identifier.length);
+    record.set(identifier, 2);
+    return record.buffer;
+}
+
+function open_pair(
+    {webcrypto, alice, bob},
+    address,
+    listen_options = {},
+    connect_options = {},
+    transport = memory_transport()
+) {
+
+// Connect Alice to Bob with the protocol module. The options override the
+// defaults, except for 'on_open'. The returned object holds the 'stop' and
+// 'close' functions, and an 'opened' Promise that resolves to both ends of the
+// connection once both are open.
+
+    let pair = {};
+    pair.opened = new Promise(function (resolve, reject) {
+        let ends = {};
+
+        function open(end) {
+            return function (connection) {
+                ends[end] = connection;
+                if (
+                    ends.listening !== undefined
+                    && ends.connecting !== undefined
+                ) {
+                    resolve(ends);
+                }
+            };
+        }
+
+        pair.stop = protocol.listen(Object.assign({
+            webcrypto,
+            keypair: bob,
+            transport_listen: transport.listen,
+            address,
+            on_message: do_nothing,
+            on_close: do_nothing
+        }, listen_options, {on_open: open("listening")}));
+        pair.close = protocol.connect(Object.assign({
+            webcrypto,
+            keypair: alice,
+            transport_connect: transport.connect,
+            address,
+            remote_public_key: bob.publicKey,
+            on_message: do_nothing,
+            on_close(connection, reason) {
+                if (connection === undefined) {
+                    reject(reason);
+                }
+            }
+        }, connect_options, {on_open: open("connecting")}));
+    });
+    return pair;
+}
+
+function test_malformed_hello({webcrypto, bob}) {
+
+// A Hello with a malformed identifier closes the connection, with an exception
+// as the reason. It must not throw.
+
+    const transport = memory_transport();
+    const address = "malformed hello";
+    let reasons = [];
+    const stop = protocol.listen({
+        webcrypto,
+        keypair: bob,
+        transport_listen: transport.listen,
+        address,
+        on_open() {
+            reasons.push("opened");
+        },
+        on_message: do_nothing,
+        on_close(ignore, reason) {
+            reasons.push(reason);
+        }
+    });
+    return Promise.all(malformed_identifiers.map(function (identifier) {
+        return new Promise(function (resolve) {
+            transport.connect(
+                address,
+                function (connection) {
+                    connection.send(plaintext_record(identifier));
+                },
+                do_nothing,
+                resolve
+            );
+        });
+    })).then(function () {
+        stop();
+        assert(
+            reasons.length === malformed_identifiers.length,
+            "Only " + reasons.length + " of the connections were closed."
+        );
+        assert(
+            reasons.every(function (reason) {
+                return reason?.constructor === Error;
+            }),
+            "A connection was closed without an exception."
+        );
+    });
+}
+
+function test_hello_blobs({webcrypto, bob}) {
+
+// A Hello whose blobs could not all be held in the buffer closes the connection
+// before any of them are sent.
+
+    const transport = memory_transport();
+    const address = "hello blobs";
+    let stop;
+    return new Promise(function (resolve) {
+        stop = protocol.listen({
+            webcrypto,
+            keypair: bob,
+            transport_listen: transport.listen,
+            address,
+            max_blob_length: 600,
+            max_buffered_bytes: 1000,
+            on_open: do_nothing,
+            on_message: do_nothing,
+            on_close(ignore, reason) {
+                resolve(reason);
+            }
+        });
+        transport.connect(
+            address,
+            function (connection) {
+                connection.send(plaintext_record(JSON.stringify({
+                    type: "Hello",
+                    blobs: [
+                        {id: "helloData", type: "Buffer", length: 600},
+                        {id: "connectionInfo", type: "JSON", length: 600}
+                    ]
+                })));
+            },
+            do_nothing,
+            do_nothing
+        );
+    }).then(function (reason) {
+        assert(
+            reason === "buffer overflow",
+            "The connection was closed with " + reason + "."
+        );
+    }).finally(function () {
+        stop();
+    });
+}
+
+function test_decompression_limit({webcrypto, alice, bob}) {
+
+// A compressed blob that would decompress to more than
+// 'max_decompressed_length' bytes closes the connection, even though its
+// compressed length is within every other limit.
+
+    const transport = memory_transport();
+    const address = "decompression limit";
+    let stop;
+    let close;
+    return new Promise(function (resolve) {
+        stop = protocol.listen({
+            webcrypto,
+            keypair: bob,
+            transport_listen: transport.listen,
+            address,
+            max_decompressed_length: 10000,
+            on_open: do_nothing,
+            on_message: do_nothing,
+            on_close(ignore, reason) {
+                resolve(reason);
+            }
+        });
+        close = protocol.connect({
+            webcrypto,
+            keypair: alice,
+            transport_connect: transport.connect,
+            address,
+            remote_public_key: bob.publicKey,
+            on_open(connection) {
+                connection.send({text: "a".repeat(100000)}).catch(do_nothing);
+            },
+            on_message: do_nothing,
+            on_close: do_nothing
+        });
+    }).then(function (reason) {
+        assert(
+            reason === "blob too long",
+            "The connection was closed with " + reason + "."
+        );
+    }).finally(function () {
+        close();
+        stop();
+    });
+}
+
+function test_requests(parties) {
+
+// Either party may make a request. The reply is the value returned by the other
+// party's 'on_request', and an exception thrown there rejects the request with
+// the same name and message.
+
+    function on_request(ignore, message) {
+        if (message.divisor === 0) {
+            throw new RangeError("Division by zero.");
+        }
+        return Promise.resolve(message.dividend / message.divisor);
+    }
+
+    const pair = open_pair(parties, "requests", {on_request}, {on_request});
+    return pair.opened.then(function ({listening, connecting}) {
+        return Promise.all([
+            connecting.request({dividend: 6, divisor: 3}),
+            listening.request({dividend: 1, divisor: 4}),
+            connecting.request({dividend: 1, divisor: 0}).then(
+                function () {
+                    throw new Error("The request did not fail.");
+                },
+                function (exception) {
+                    return exception.name + ": " + exception.message;
+                }
+            )
+        ]);
+    }).then(function (replies) {
+        assert(
+            replies.join() === "2,0.25,RangeError: Division by zero.",
+            "The replies were " + replies.join() + "."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_async_acknowledge(parties) {
+
+// With 'async_acknowledge', a message is acknowledged once the Promise returned
+// by 'on_message' resolves. A rejection rejects the sender's Promise.
+
+    let handled = [];
+    const pair = open_pair(parties, "async acknowledge", {
+        async_acknowledge: true,
+        on_message(ignore, message) {
+            return wait(50).then(function () {
+                if (message.job === "bad") {
+                    throw new TypeError("Bad job.");
+                }
+                handled.push(message.job);
+            });
+        }
+    });
+    return pair.opened.then(function ({connecting}) {
+        return Promise.all([
+            connecting.send({job: "good"}).then(function () {
+                return handled.join();
+            }),
+            connecting.send({job: "bad"}).then(
+                function () {
+                    throw new Error("The bad job was acknowledged.");
+                },
+                function (exception) {
+                    return exception.message;
+                }
+            )
+        ]);
+    }).then(function (results) {
+        assert(
+            results.join() === "good,Bad job.",
+            "The sends resulted in " + results.join() + "."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_flow_control(parties) {
+
+// Once the 'buffered_amount' reaches the high-water mark, 'status_send' returns
+// false. 'on_drain' is called when everything has been sent.
+
+    let drained;
+    const pair = open_pair(parties, "flow control", {}, {
+        high_water_mark: 1000,
+        on_drain(connection) {
+            drained(connection.buffered_amount);
+        }
+    });
+    const data = parties.webcrypto.getRandomValues(new Uint8Array(10000));
+    return pair.opened.then(function ({connecting}) {
+        return new Promise(function (resolve) {
+            drained = resolve;
+            assert(
+                connecting.status_send({data: data.buffer}) === false,
+                "The high-water mark was not reported."
+            );
+            assert(
+                connecting.buffered_amount >= data.byteLength,
+                "Only " + connecting.buffered_amount + " bytes were buffered."
+            );
+        });
+    }).then(function (buffered_amount) {
+        assert(
+            buffered_amount === 0,
+            buffered_amount + " bytes were still buffered when drained."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function make_pattern(length) {
+    return new Uint8Array(length).map(function (ignore, position) {
+        return position % 251;
+    });
+}
+
+function read_all(stream) {
+
+// Read a ReadableStream of bytes to the end. The returned Promise resolves to
+// the bytes.
+
+    const reader = stream.getReader();
+    let chunks = [];
+
+    function next() {
+        return reader.read().then(function ({done, value}) {
+            if (!done) {
+                chunks.push(value);
+                return next();
+            }
+            let bytes = new Uint8Array(chunks.reduce(function (total, chunk) {
+                return total + chunk.byteLength;
+            }, 0));
+            let position = 0;
+            chunks.forEach(function (chunk) {
+                bytes.set(chunk, position);
+                position += chunk.byteLength;
+            });
+            return bytes;
+        });
+    }
+
+    return next();
+}
+
+function same_bytes(a, b) {
+    return a.byteLength === b.byteLength && a.every(function (byte, position) {
+        return byte === b[position];
+    });
+}
+
+function test_streams(parties) {
+
+// A stream sent as a property of a message arrives as a ReadableStream, intact,
+// even though it is much bigger than the receiving party's window.
+
+    const pattern = make_pattern(3000000);
+    let received;
+    const pair = open_pair(parties, "streams", {
+        on_message(ignore, message) {
+            received(read_all(message.file));
+        }
+    });
+    return pair.opened.then(function ({connecting}) {
+        return new Promise(function (resolve) {
+            received = resolve;
+            connecting.send({file: new globalThis.Blob([pattern]).stream()});
+        });
+    }).then(function (bytes) {
+        assert(
+            same_bytes(bytes, pattern),
+            "The stream was not received intact."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_stream_cancel(parties) {
+
+// Cancelling an incoming stream cancels the stream at its source.
+
+    let cancelled;
+    const pair = open_pair(parties, "stream cancel", {
+        on_message(ignore, message) {
+            const reader = message.endless.getReader();
+            reader.read().then(function () {
+                return reader.cancel(new Error("Enough."));
+            });
+        }
+    });
+    return pair.opened.then(function ({connecting}) {
+        return new Promise(function (resolve) {
+            cancelled = resolve;
+            connecting.status_send({
+                endless: new globalThis.ReadableStream({
+                    pull(controller) {
+                        controller.enqueue(make_pattern(65536));
+                    },
+                    cancel(reason) {
+                        cancelled(reason);
+                    }
+                })
+            });
+        });
+    }).then(function (reason) {
+        assert(
+            reason?.message === "Enough.",
+            "The stream was cancelled with " + reason + "."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function watching_webcrypto(webcrypto, watch) {
+
+// Wrap the WebCrypto object, passing the name and arguments of each call made
+// to its 'subtle' methods to the 'watch' function.
+
+    return Object.freeze({
+        getRandomValues(array) {
+            return webcrypto.getRandomValues(array);
+        },
+        subtle: new Proxy(webcrypto.subtle, {
+            get(subtle, name) {
+                const value = subtle[name];
+                if (typeof value !== "function") {
+                    return value;
+                }
+                return function (...args) {
+                    watch(name, args);
+                    return value.apply(subtle, args);
+                };
+            }
+        })
+    });
+}
+
+function counting_webcrypto(webcrypto, counts) {
+
+// Wrap the WebCrypto object, counting the calls made to each of its 'subtle'
+// methods.
+
+    return watching_webcrypto(webcrypto, function (name) {
+        counts[name] = (counts[name] ?? 0) + 1;
+    });
+}
+
+function check_rekeying(parties, address, connect_options, send_all) {
+
+// Send some messages, counting the keys generated by the listening party as it
+// takes part in rekeying. The 'send_all' function is called with both ends of
+// the connection and the numbers to send, and returns a Promise.
+
+    let counts = {};
+    let handled = [];
+    const pair = open_pair(
+        parties,
+        address,
+        {
+            webcrypto: counting_webcrypto(parties.webcrypto, counts),
+            on_message(ignore, message) {
+                handled.push(message.n);
+            }
+        },
+        connect_options
+    );
+    const numbers = new Array(30).fill(0).map(function (ignore, n) {
+        return n;
+    });
+    let nr_generated;
+    return pair.opened.then(function (ends) {
+        nr_generated = counts.generateKey;
+        return send_all(ends, numbers);
+    }).then(function () {
+        assert(
+            handled.join() === numbers.join(),
+            "The messages were handled as " + handled.join() + "."
+        );
+        assert(counts.generateKey > nr_generated, "No keys were generated.");
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_automatic_rekey(parties) {
+
+// The connection is rekeyed as the messages are sent, one after another,
+// without losing any of them or their acknowledgements.
+
+    return check_rekeying(
+        parties,
+        "automatic rekey",
+        {rekey_records: 10},
+        function ({connecting}, numbers) {
+            return numbers.reduce(function (previous, n) {
+                return previous.then(function () {
+                    return connecting.send({n});
+                });
+            }, Promise.resolve());
+        }
+    );
+}
+
+function test_rekey(parties) {
+
+// Both parties ask for a rekeying at once, while messages are being sent.
+
+    return check_rekeying(
+        parties,
+        "rekey",
+        {},
+        function ({listening, connecting}, numbers) {
+            return Promise.all(numbers.map(function (n) {
+                return connecting.send({n});
+            }).concat(
+                listening.rekey(),
+                connecting.rekey()
+            ));
+        }
+    );
+}
+
+function intercepting_transport(intercept) {
+
+// Make a memory transport whose connecting end passes each chunk it sends to
+// the 'intercept' function, along with the real 'send' function.
+
+    const transport = memory_transport();
+    return Object.freeze({
+        listen: transport.listen,
+        connect(address, on_open, on_receive, on_close, on_drain) {
+            return transport.connect(
+                address,
+                function (connection) {
+                    return on_open(Object.freeze(Object.assign({}, connection, {
+                        send(chunk) {
+                            return intercept(connection.send, chunk);
+                        }
+                    })));
+                },
+                on_receive,
+                on_close,
+                on_drain
+            );
+        }
+    });
+}
+
+function test_heartbeats(parties) {
+
+// Heartbeats measure the round-trip time. A party that stops answering them is
+// timed out.
+
+    let silent = false;
+    let timed_out;
+
+// The connecting party's transport can be silenced, as though the party had
+// vanished without closing its connection.
+
+    const quiet_transport = intercepting_transport(function (send, chunk) {
+        if (!silent) {
+            return send(chunk);
+        }
+    });
+    const pair = open_pair(
+        parties,
+        "heartbeats",
+        {
+            heartbeat_interval: 50,
+            on_close(ignore, reason) {
+                timed_out(reason);
+            }
+        },
+        {},
+        quiet_transport
+    );
+    return pair.opened.then(function ({listening}) {
+        return wait(200).then(function () {
+            assert(
+                Number.isFinite(listening.round_trip_time),
+                "The round-trip time was " + listening.round_trip_time + "."
+            );
+            return new Promise(function (resolve) {
+                timed_out = resolve;
+                silent = true;
+            });
+        });
+    }).then(function (reason) {
+        assert(
+            reason === "timeout",
+            "The connection was closed with " + reason + "."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_fragmented_records(parties) {
+
+// Records arrive intact however the transport cuts them up, even when every
+// identifier and blob is split across many chunks.
+
+    const data = parties.webcrypto.getRandomValues(new Uint8Array(60000));
+    let received;
+    const pair = open_pair(
+        parties,
+        "fragmented records",
+        {
+            on_message(ignore, message) {
+                received(message);
+            }
+        },
+        {},
+        memory_transport({fragment: 7})
+    );
+    return pair.opened.then(function ({connecting}) {
+        return Promise.all([
+            new Promise(function (resolve) {
+                received = resolve;
+            }),
+            connecting.send({data: data.buffer, text: "ok"})
+        ]);
+    }).then(function ([message]) {
+        assert(
+            message.text === "ok" && same_bytes(
+                new Uint8Array(message.data),
+                data
+            ),
+            "The message was not received intact."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_channels(parties) {
+
+// Each channel has its own acknowledgements, so a message that is slow to be
+// handled on one channel does not hold up the acknowledgement of a message on
+// another. Closing a channel rejects its pending sends with the reason, which
+// is passed to the other party's 'on_close' for the channel.
+
+    let events = [];
+    let bulk_closed;
+    const pair = open_pair(parties, "channels", {
+        async_acknowledge: true,
+        on_channel(ignore, channel, name) {
+            events.push("opened " + name);
+            if (name === "bulk") {
+                return {
+                    on_message() {
+                        return new Promise(do_nothing);
+                    },
+                    on_close(ignore, reason) {
+                        bulk_closed(reason);
+                    }
+                };
+            }
+            return {
+                on_message(ignore, message) {
+                    events.push(channel.name + " " + message.command);
+                }
+            };
+        }
+    });
+    return pair.opened.then(function ({connecting}) {
+        const bulk = connecting.open_channel("bulk");
+        const control = connecting.open_channel("control");
+        const bulk_sent = bulk.send({upload: "slow"}).then(
+            function () {
+                throw new Error("The slow message was acknowledged.");
+            },
+            function (reason) {
+                return reason;
+            }
+        );
+        return control.send({command: "go"}).then(function () {
+            return Promise.all([
+                new Promise(function (resolve) {
+                    bulk_closed = resolve;
+                    bulk.close("Cancelled.");
+                }),
+                bulk_sent
+            ]);
+        });
+    }).then(function (reasons) {
+        assert(
+            events.join() === "opened bulk,opened control,control go",
+            "The events were " + events.join() + "."
+        );
+        assert(
+            reasons.join() === "Cancelled.,Cancelled.",
+            "The channel was closed with " + reasons.join() + "."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_rich_values(parties) {
+
+// Once CBOR has been negotiated, values that JSON can not represent arrive
+// intact, however deeply they are nested.
+
+    const samples = new Float32Array([0.5, -1.25, 1e30]);
+    const when = new Date(1700000000000);
+    let received;
+    const pair = open_pair(parties, "rich values", {
+        on_message(ignore, message) {
+            received(message);
+        }
+    });
+    return pair.opened.then(function ({connecting}) {
+        assert(
+            connecting.features.includes("cbor"),
+            "CBOR was not negotiated."
+        );
+        return Promise.all([
+            new Promise(function (resolve) {
+                received = resolve;
+            }),
+            connecting.send({
+                reading: {samples, when, nothing: undefined},
+                big: 2n ** 70n,
+                tags: new Map([[1, new Uint8Array([2, 3]).buffer]])
+            })
+        ]);
+    }).then(function ([{reading, big, tags}]) {
+        assert(
+            reading.samples?.constructor === Float32Array
+            && reading.samples.join() === samples.join(),
+            "The samples were " + reading.samples + "."
+        );
+        assert(
+            reading.when?.constructor === Date
+            && reading.when.getTime() === when.getTime(),
+            "The date was " + reading.when + "."
+        );
+        assert(
+            Object.hasOwn(reading, "nothing") && reading.nothing === undefined,
+            "The undefined value was lost."
+        );
+        assert(big === 2n ** 70n, "The bigint was " + big + ".");
+        assert(
+            tags?.constructor === Map
+            && tags.get(1)?.constructor === ArrayBuffer
+            && new Uint8Array(tags.get(1)).join() === "2,3",
+            "The map was " + tags + "."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_compression(parties) {
+
+// Blobs are compressed, unless the sender opts out, and arrive intact either
+// way.
+
+    const pattern = make_pattern(100000);
+    let nr_bytes_sent = 0;
+    let received = [];
+    let all_received;
+
+// The connecting party's transport counts the bytes it sends.
+
+    const counting_transport = intercepting_transport(function (send, chunk) {
+        nr_bytes_sent += chunk.byteLength;
+        return send(chunk);
+    });
+
+    function send_counted(connection, message, options) {
+        const before = nr_bytes_sent;
+        return connection.send(message, options).then(function () {
+            return nr_bytes_sent - before;
+        });
+    }
+
+    const pair = open_pair(
+        parties,
+        "compression",
+        {
+            on_message(ignore, message) {
+                received.push(new Uint8Array(message.data));
+                if (received.length === 2) {
+                    all_received();
+                }
+            }
+        },
+        {},
+        counting_transport
+    );
+    return pair.opened.then(function ({connecting}) {
+        assert(
+            connecting.features.includes("deflate"),
+            "Compression was not negotiated."
+        );
+        const done = new Promise(function (resolve) {
+            all_received = resolve;
+        });
+        return send_counted(connecting, {data: pattern.buffer}).then(
+            function (compressed_length) {
+                return Promise.all([
+                    compressed_length,
+                    send_counted(
+                        connecting,
+                        {data: pattern.buffer},
+                        {compress: false}
+                    ),
+                    done
+                ]);
+            }
+        );
+    }).then(function ([compressed_length, uncompressed_length]) {
+        assert(
+            compressed_length < pattern.byteLength / 10,
+            "The compressed message took " + compressed_length + " bytes."
+        );
+        assert(
+            uncompressed_length > pattern.byteLength,
+            "The uncompressed message took " + uncompressed_length + " bytes."
+        );
+        assert(
+            received.every(function (data) {
+                return same_bytes(data, pattern);
+            }),
+            "The messages were not received intact."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_negotiation(parties) {
+
+// Both ends of a connection agree on the version and the features, which
+// include every feature that both parties support.
+
+    const pair = open_pair(parties, "negotiation");
+    return pair.opened.then(function ({listening, connecting}) {
+        assert(
+            listening.version === 0 && connecting.version === 0,
+            "The versions were " + listening.version + " and "
+            + connecting.version + "."
+        );
+        assert(
+            listening.features.join() === connecting.features.join()
+            && [
+                "refuse",
+                "requests",
+                "streams",
+                "rekey",
+                "heartbeat",
+                "channels",
+                "cbor"
+            ].every(function (feature) {
+                return connecting.features.includes(feature);
+            }),
+            "The features were " + listening.features.join() + " and "
+            + connecting.features.join() + "."
+        );
+        assert(
+            Object.isFrozen(connecting.features),
+            "The features can be changed."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_resumption({webcrypto, alice, bob, mallory}) {
+
+// A party resumes its session with the ticket it was issued last time. A
+// ticket issued under a keypair that has since changed is refused, and the
+// party falls back to a full handshake.
+
+    const address = "resumption";
+    const bob_acquaintance = {
+        petname: "bob",
+        address,
+        public_key: bob.publicKey
+    };
+    const alice_store = memory_store(alice, {bob: bob_acquaintance});
+    let nr_resumptions = 0;
+    let stop;
+
+// A Hello that resumes a session carries a resumption key in the clear.
+
+    const transport = intercepting_transport(function (send, chunk) {
+        if (new TextDecoder().decode(chunk).includes("\"resumeKey\"")) {
+            nr_resumptions += 1;
+        }
+        return send(chunk);
+    });
+    const alice_party = party(alice_store, transport, false, webcrypto);
+
+    function listen(keypair) {
+        const bob_party = party(
+            memory_store(keypair),
+            transport,
+            false,
+            webcrypto
+        );
+        stop = bob_party.listen({address, ticket_lifetime: 60000});
+    }
+
+    function connect_once() {
+
+// Connect, and disconnect once a message has been acknowledged. By then, the
+// ticket has arrived.
+
+        return new Promise(function (resolve, reject) {
+            const close = alice_party.connect({
+                petname: "bob",
+                on_open(connection) {
+                    connection.send({}).then(function () {
+                        close();
+                        resolve(nr_resumptions);
+                    }, reject);
+                },
+                on_close(connection, reason) {
+                    if (connection === undefined) {
+                        reject(reason);
+                    }
+                }
+            });
+        });
+    }
+
+    listen(bob);
+    return connect_once().then(function (first) {
+        assert(first === 0, "The first connection was resumed.");
+        return connect_once();
+    }).then(function (second) {
+        assert(second === 1, "The second connection was not resumed.");
+        stop();
+        listen(mallory);
+        return alice_store.add_acquaintance(Object.assign(
+            {},
+            bob_acquaintance,
+            {public_key: mallory.publicKey}
+        ));
+    }).then(connect_once).then(function (third) {
+        assert(
+            third === 2,
+            "The third connection did not attempt to resume."
+        );
+    }).finally(function () {
+        stop();
+    });
+}
+
+function test_ephemeral(parties) {
+
+// When the "ephemeral" feature is negotiated, both parties mix the exchange of
+// their ephemeral keys into the session key, and agree on the result.
+
+    let mixed = [];
+
+    function watch(end) {
+        return watching_webcrypto(parties.webcrypto, function (name, args) {
+            const info = args[0]?.info;
+            if (
+                name === "deriveKey"
+                && info !== undefined
+                && new TextDecoder().decode(info) === "Seif ephemeral session"
+            ) {
+                mixed.push(end);
+            }
+        });
+    }
+
+    let received;
+    const pair = open_pair(
+        parties,
+        "ephemeral",
+        {
+            webcrypto: watch("listening"),
+            on_message(ignore, message) {
+                received(message.text);
+            }
+        },
+        {webcrypto: watch("connecting")}
+    );
+    return pair.opened.then(function ({connecting}) {
+        assert(
+            connecting.features.includes("ephemeral"),
+            "The ephemeral exchange was not negotiated."
+        );
+        return new Promise(function (resolve) {
+            received = resolve;
+            connecting.status_send({text: "Hello."});
+        });
+    }).then(function (text) {
+        assert(text === "Hello.", "The message was " + text + ".");
+        assert(
+            mixed.sort().join() === "connecting,listening",
+            "The session keys were mixed by " + mixed.join() + "."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_keying_material(parties) {
+
+// Both ends of a connection have the same ID and derive the same keying
+// material for a label, even after a rekeying. Another connection has a
+// different ID.
+
+    const first = open_pair(parties, "keying material");
+    const second = open_pair(parties, "keying material again");
+
+    function export_both(ends, label) {
+        return Promise.all([
+            ends.listening.export_keying_material(label, 40),
+            ends.connecting.export_keying_material(label, 40)
+        ]).then(function (buffers) {
+            return buffers.map(function (buffer) {
+                return new Uint8Array(buffer).join();
+            });
+        });
+    }
+
+    return Promise.all([first.opened, second.opened]).then(function ([
+        ends,
+        other_ends
+    ]) {
+        assert(
+            ends.listening.id === ends.connecting.id
+            && typeof ends.listening.id === "string",
+            "The IDs were " + ends.listening.id + " and "
+            + ends.connecting.id + "."
+        );
+        assert(
+            ends.connecting.id !== other_ends.connecting.id,
+            "Two connections had the same ID."
+        );
+        return Promise.all([
+            export_both(ends, "a"),
+            export_both(ends, "b"),
+            ends.connecting.rekey().then(function () {
+                return export_both(ends, "a");
+            })
+        ]);
+    }).then(function ([a, b, a_after_rekey]) {
+        assert(
+            a[0] === a[1] && b[0] === b[1],
+            "The parties derived different keying material."
+        );
+        assert(a[0].split(",").length === 40, "The wrong length was derived.");
+        assert(a[0] !== b[0], "Different labels derived the same material.");
+        assert(
+            a_after_rekey.join() === a.join(),
+            "Rekeying changed the keying material."
+        );
+    }).finally(function () {
+        first.close();
+        first.stop();
+        second.close();
+        second.stop();
+    });
+}
+
+function test_introspection({webcrypto, alice, bob}) {
+
+// Each end of a connection made by the parties knows who is at the other end,
+// what state the connection is in, and how much it has carried.
+
+    const transport = memory_transport();
+    const address = "introspection";
+    const elliptic = make_elliptic(webcrypto);
+    const alice_store = memory_store(alice, {
+        bob: {petname: "bob", address, public_key: bob.publicKey}
+    });
+    let states = [];
+    let stop;
+    let close;
+
+    function same_key(a, b) {
+        return Promise.all([
+            elliptic.export_public_key(a),
+            elliptic.export_public_key(b)
+        ]).then(function ([a_buffer, b_buffer]) {
+            return same_bytes(
+                new Uint8Array(a_buffer),
+                new Uint8Array(b_buffer)
+            );
+        });
+    }
+
+    let listening_closed;
+    return new Promise(function (resolve) {
+        let ends = {};
+
+        function open(end) {
+            return function (connection) {
+                ends[end] = connection;
+                if (
+                    ends.listening !== undefined
+                    && ends.connecting !== undefined
+                ) {
+                    resolve(ends);
+                }
+            };
+        }
+
+        stop = party(memory_store(bob), transport, false, webcrypto).listen({
+            address,
+            on_open: open("listening"),
+            on_close(connection) {
+                listening_closed(connection.state);
+            }
+        });
+        close = party(alice_store, transport, false, webcrypto).connect({
+            petname: "bob",
+            on_open: open("connecting")
+        });
+    }).then(function ({listening, connecting}) {
+        states.push(listening.state, connecting.state);
+        assert(
+            connecting.petname === "bob" && listening.petname === undefined,
+            "The petnames were " + listening.petname + " and "
+            + connecting.petname + "."
+        );
+        const sent = connecting.send({});
+        assert(
+            connecting.pending_acknowledgements === 1,
+            connecting.pending_acknowledgements + " messages were pending."
+        );
+        return Promise.all([
+            same_key(listening.remote_public_key, alice.publicKey),
+            same_key(connecting.remote_public_key, bob.publicKey),
+            sent.then(function () {
+                return wait(50);
+            })
+        ]).then(function ([alice_known, bob_known]) {
+            assert(alice_known && bob_known, "A remote public key was wrong.");
+            assert(
+                connecting.pending_acknowledgements === 0,
+                "The acknowledgement was still pending."
+            );
+            assert(
+                connecting.bytes_sent > 0
+                && connecting.bytes_sent === listening.bytes_received
+                && listening.bytes_sent === connecting.bytes_received
+                && connecting.records_sent > 0
+                && connecting.records_sent === listening.records_received
+                && listening.records_sent === connecting.records_received,
+                "The ends disagreed about the traffic."
+            );
+            assert(
+                connecting.opened_at <= connecting.last_activity
+                && connecting.last_activity <= Date.now(),
+                "The connection was opened at " + connecting.opened_at
+                + " and last active at " + connecting.last_activity + "."
+            );
+            return new Promise(function (resolve) {
+                listening_closed = resolve;
+                connecting.close();
+                states.push(connecting.state);
+            });
+        });
+    }).then(function (closed_state) {
+        states.push(closed_state);
+        assert(
+            states.join() === "open,open,closing,closed",
+            "The states were " + states.join() + "."
+        );
+    }).finally(function () {
+        close();
+        stop();
+    });
+}
+
+function test_addresses(parties) {
+
+// The addresses reported by the TCP transport are available at both ends of
+// the connection, each end's local address being the other's remote address.
+
+    const pair = open_pair(
+        parties,
+        make_tcp_address(),
+        {},
+        {},
+        parties.tcp_transport()
+    );
+    return pair.opened.then(function ({listening, connecting}) {
+        assert(
+            listening.remote_address === connecting.local_address
+            && connecting.remote_address === listening.local_address
+            && (/^\S+:\d+$/).test(listening.remote_address)
+            && (/^\S+:\d+$/).test(listening.local_address),
+            "The addresses were " + listening.local_address + ", "
+            + listening.remote_address + ", " + connecting.local_address
+            + " and " + connecting.remote_address + "."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_redirects({webcrypto, alice, bob, mallory}) {
+
+// Bob and Mallory redirect every connection to each other. The connecting party
+// notices the loop, or gives up sooner if it may not be redirected at all.
+
+    const transport = memory_transport();
+    const bob_acquaintance = {
+        petname: "bob",
+        address: "redirects to mallory",
+        public_key: bob.publicKey
+    };
+    const mallory_acquaintance = {
+        petname: "mallory",
+        address: "redirects to bob",
+        public_key: mallory.publicKey
+    };
+    const alice_party = party(
+        memory_store(alice, {bob: bob_acquaintance}),
+        transport,
+        false,
+        webcrypto
+    );
+
+    function listen(keypair, acquaintance, other_acquaintance) {
+        return party(
+            memory_store(keypair, Object.fromEntries([
+                [other_acquaintance.petname, other_acquaintance]
+            ])),
+            transport,
+            false,
+            webcrypto
+        ).listen({
+            address: acquaintance.address,
+            on_open(connection) {
+                connection.redirect(other_acquaintance.petname, false);
+            }
+        });
+    }
+
+    function connect(max_redirects) {
+
+// Resolve to the reasons given to 'on_close', once the redirects stop.
+
+        let reasons = [];
+        return new Promise(function (resolve) {
+            alice_party.connect({
+                petname: "bob",
+                max_redirects,
+                on_close(ignore, reason) {
+                    reasons.push(reason);
+                    if (reason !== "redirected") {
+                        resolve(reasons.join());
+                    }
+                }
+            });
+        });
+    }
+
+    const stops = [
+        listen(bob, bob_acquaintance, mallory_acquaintance),
+        listen(mallory, mallory_acquaintance, bob_acquaintance)
+    ];
+    return Promise.all([connect(10), connect(0)]).then(function ([
+        looped,
+        limited
+    ]) {
+        assert(
+            looped === "redirected,redirect loop",
+            "The looping connection was closed with " + looped + "."
+        );
+        assert(
+            limited === "too many redirects",
+            "The limited connection was closed with " + limited + "."
+        );
+    }).finally(function () {
+        stops.forEach(function (stop) {
+            stop();
+        });
+    });
+}
+
+function test_reconnect({webcrypto, alice, bob}) {
+
+// A party that reconnects does so whenever the listening party comes back,
+// until it is closed. Failed attempts are retried until the policy gives up.
+
+    const transport = memory_transport();
+    const address = "reconnect";
+    const bob_party = party(memory_store(bob), transport, false, webcrypto);
+    let nr_attempts = 0;
+    let nr_opened = 0;
+    let opened;
+    let stop;
+
+// Alice's transport counts her attempts to connect.
+
+    const alice_party = party(
+        memory_store(alice, {
+            bob: {petname: "bob", address, public_key: bob.publicKey},
+            nobody: {
+                petname: "nobody",
+                address: "nowhere",
+                public_key: bob.publicKey
+            }
+        }),
+        Object.freeze({
+            listen: transport.listen,
+            connect(...args) {
+                nr_attempts += 1;
+                return transport.connect(...args);
+            }
+        }),
+        false,
+        webcrypto
+    );
+
+    function listen() {
+        stop = bob_party.listen({address});
+    }
+
+    function give_up(reconnect) {
+
+// Resolve to the number of attempts made to reach nobody, once the party gives
+// up and reports the last failure.
+
+        nr_attempts = 0;
+        return new Promise(function (resolve) {
+            alice_party.connect({
+                petname: "nobody",
+                reconnect,
+                on_close(connection, reason) {
+                    resolve([connection, reason]);
+                }
+            });
+        }).then(function ([connection, reason]) {
+            assert(
+                connection === undefined && reason?.constructor === Error,
+                "The connection closed with " + reason + "."
+            );
+            return nr_attempts;
+        });
+    }
+
+    listen();
+    let close;
+    return new Promise(function (resolve) {
+        opened = resolve;
+        close = alice_party.connect({
+            petname: "bob",
+            reconnect: {initial_delay: 50, max_delay: 50},
+            on_open() {
+                nr_opened += 1;
+                opened();
+            }
+        });
+    }).then(function () {
+
+// Bob restarts, and Alice reconnects. Then Bob goes away again, and Alice is
+// closed while she waits to retry.
+
+        return new Promise(function (resolve) {
+            opened = resolve;
+            stop();
+            setTimeout(listen, 20);
+        });
+    }).then(function () {
+        stop();
+        return wait(10);
+    }).then(function () {
+        close();
+        listen();
+        return wait(200);
+    }).then(function () {
+        assert(
+            nr_opened === 2,
+            "The connection was opened " + nr_opened + " times."
+        );
+        return give_up({initial_delay: 10, max_attempts: 3});
+    }).then(function (nr_retried) {
+        assert(nr_retried === 4, nr_retried + " attempts were made.");
+        return give_up({
+            initial_delay: 10,
+            should_reconnect() {
+                return false;
+            }
+        });
+    }).then(function (nr_refused) {
+        assert(nr_refused === 1, nr_refused + " attempts were made.");
+    }).finally(function () {
+        close();
+        stop();
+    });
+}
+
+function test_exactly_once({webcrypto, alice, bob}) {
+
+// Messages sent from an outbox are handled exactly once, even though the
+// listening party goes away after handling a message but before acknowledging
+// it. The listening party comes back as a new party with the same store.
+
+    const transport = memory_transport();
+    const address = "exactly once";
+    const alice_store = memory_store(alice, {
+        bob: {petname: "bob", address, public_key: bob.publicKey}
+    });
+    const bob_store = memory_store(bob);
+    let handled = [];
+    let crashed = false;
+    let stop;
+
+    function listen() {
+        stop = party(bob_store, transport, false, webcrypto).listen({
+            address,
+            on_message(ignore, message) {
+                handled.push(message.n);
+                if (message.n === 2 && !crashed) {
+                    crashed = true;
+                    stop();
+                    setTimeout(listen, 100);
+                }
+            }
+        });
+    }
+
+    listen();
+    let sent;
+    const close = party(alice_store, transport, false, webcrypto).connect({
+        petname: "bob",
+        outbox: true,
+        reconnect: {initial_delay: 50, max_delay: 50},
+        on_open(connection) {
+            if (sent === undefined) {
+                sent = Promise.all([0, 1, 2, 3, 4].map(function (n) {
+                    return connection.send({n});
+                }));
+            }
+        }
+    });
+    return wait(100).then(function () {
+        assert(sent !== undefined, "The connection did not open.");
+        return sent;
+    }).then(function () {
+        assert(crashed, "The listening party did not go away.");
+        assert(
+            handled.join() === "0,1,2,3,4",
+            "The messages were handled as " + handled.join() + "."
+        );
+    }).finally(function () {
+        close();
+        stop();
+    });
+}
+
+function test_inbox_senders({webcrypto, alice, mallory}) {
+
+// An outbox ID used by one sender does not affect the messages of another.
+
+    const inbox = delivery.make_inbox(memory_store(), webcrypto);
+    let handled = [];
+
+    function receive(sender, id, name) {
+        return inbox.receive(sender.publicKey, id, function () {
+            handled.push(name);
+        });
+    }
+
+    return receive(mallory, ["A", 0], "mallory 0").then(function () {
+        return receive(mallory, ["A", 1], "mallory 1");
+    }).then(function () {
+        return receive(alice, ["A", 0], "alice 0");
+    }).then(function () {
+        return receive(alice, ["A", 0], "alice 0 again");
+    }).then(function () {
+        return receive(alice, ["A", 1], "alice 1");
+    }).then(function () {
+        assert(
+            handled.join() === "mallory 0,mallory 1,alice 0,alice 1",
+            "The messages were handled as " + handled.join() + "."
+        );
+    });
+}
+
+function test_refusal({webcrypto, alice, bob}) {
+
+// An 'on_hello' that rejects without a reason still refuses the handshake.
+
+    const transport = memory_transport();
+    const address = "refusal";
+    let reasons = {};
+    const stop = protocol.listen({
+        webcrypto,
+        keypair: bob,
+        transport_listen: transport.listen,
+        address,
+        on_hello() {
+            return Promise.reject();
+        },
+        on_open: do_nothing,
+        on_message: do_nothing,
+        on_close(ignore, reason) {
+            reasons.listening = reason;
+        }
+    });
+    return new Promise(function (resolve) {
+        protocol.connect({
+            webcrypto,
+            keypair: alice,
+            transport_connect: transport.connect,
+            address,
+            remote_public_key: bob.publicKey,
+            on_open: do_nothing,
+            on_message: do_nothing,
+            on_close(ignore, reason) {
+                reasons.connecting = reason;
+                resolve();
+            }
+        });
+    }).then(function () {
+        stop();
+        assert(
+            reasons.listening === "refused"
+            && reasons.connecting === "refused",
+            "The refusal was not reported as such."
+        );
+    });
+}
+
+function test_closing({webcrypto, alice, bob}) {
+
+// Once a connection is closing, sending fails straight away.
+
+    const transport = memory_transport();
+    const address = "closing";
+    const stop = protocol.listen({
+        webcrypto,
+        keypair: bob,
+        transport_listen: transport.listen,
+        address,
+        on_open: do_nothing,
+        on_message: do_nothing,
+        on_close: do_nothing
+    });
+    let close;
+    return new Promise(function (resolve, reject) {
+        close = protocol.connect({
+            webcrypto,
+            keypair: alice,
+            transport_connect: transport.connect,
+            address,
+            remote_public_key: bob.publicKey,
+            on_open(connection) {
+                connection.close("leaving");
+                assert(
+                    connection.status_send({}) === false,
+                    "A message was status sent while closing."
+                );
+                connection.send({}).then(function () {
+                    reject(new Error("A message was sent while closing."));
+                }, resolve);
+            },
+            on_message: do_nothing,
+            on_close: do_nothing
+        });
+    }).then(function (reason) {
+        assert(reason === "leaving", "The send failed for the wrong reason.");
+    }).finally(function () {
+        close();
+        stop();
+    });
+}
+
+function test_graceful_close({webcrypto, alice, bob}) {
+
+// Closing an open connection with the function returned by 'party.connect'
+// delivers the messages already sent, and then the reason.
+
+    const transport = memory_transport();
+    const address = "graceful close";
+    const alice_store = memory_store(alice, {
+        bob: {petname: "bob", address, public_key: bob.publicKey}
+    });
+    let handled = [];
+    let stop;
+    return new Promise(function (resolve) {
+        stop = party(memory_store(bob), transport, false, webcrypto).listen({
+            address,
+            on_message(ignore, message) {
+                handled.push(message.n);
+            },
+            on_close(ignore, reason) {
+                resolve(reason);
+            }
+        });
+        const close = party(alice_store, transport, false, webcrypto).connect({
+            petname: "bob",
+            on_open() {
+                [0, 1, 2, 3, 4].forEach(function (n) {
+                    close.status_send({n});
+                });
+                close("bye");
+            }
+        });
+    }).then(function (reason) {
+        assert(
+            handled.join() === "0,1,2,3,4",
+            "The messages were handled as " + handled.join() + "."
+        );
+        assert(
+            reason === "bye",
+            "The connection was closed with " + reason + "."
+        );
+    }).finally(function () {
+        stop();
+    });
+}
+
+function test_waiting_messages({webcrypto, alice, bob}) {
+
+// Messages sent with the function returned by 'party.connect', before the
+// connection opens, are sent in order once it does.
+
+    const transport = memory_transport();
+    const address = "waiting messages";
+    const alice_store = memory_store(alice, {
+        bob: {petname: "bob", address, public_key: bob.publicKey}
+    });
+    let handled = [];
+    const stop = party(memory_store(bob), transport, false, webcrypto).listen({
+        address,
+        on_message(ignore, message) {
+            handled.push(message.n);
+        }
+    });
+    const close = party(alice_store, transport, false, webcrypto).connect({
+        petname: "bob"
+    });
+    close.status_send({n: 0});
+    return Promise.all([
+        close.send({n: 1}),
+        close.send({n: 2})
+    ]).then(function () {
+        assert(
+            handled.join() === "0,1,2",
+            "The messages were handled as " + handled.join() + "."
+        );
+    }).finally(function () {
+        close();
+        stop();
+    });
+}
+
+function test_memory_conformance() {
+    return check_conformance(memory_transport(), make_memory_address);
+}
+
+function test_faulty_conformance() {
+
+// Fragmenting or coalescing chunks does not stop the memory transport from
+// conforming, because chunk boundaries are not preserved by any transport.
+
+    return check_conformance(
+        memory_transport({fragment: 999}),
+        make_memory_address
+    ).then(function () {
+        return check_conformance(
+            memory_transport({coalesce: true}),
+            make_memory_address
+        );
+    });
+}
+
+function test_corruption(parties) {
+
+// A record corrupted after the handshake closes the connection with an
+// exception. Records coalesced into a single chunk are all received.
+
+    const transport = memory_transport({coalesce: true, corrupt: [5000]});
+    let received = [];
+    let closed;
+    const pair = open_pair(
+        parties,
+        "corruption",
+        {
+            on_message(ignore, message) {
+                received.push(message.n);
+            },
+            on_close(ignore, reason) {
+                closed(reason);
+            }
+        },
+        {},
+        transport
+    );
+    return pair.opened.then(function ({connecting}) {
+        return new Promise(function (resolve) {
+            closed = resolve;
+            [0, 1, 2].forEach(function (n) {
+                connecting.status_send({n});
+            });
+            wait(100).then(function () {
+                connecting.status_send({
+                    data: parties.webcrypto.getRandomValues(
+                        new Uint8Array(10000)
+                    ).buffer
+                });
+            });
+        });
+    }).then(function (reason) {
+        assert(
+            received.join() === "0,1,2",
+            "The messages were received as " + received.join() + "."
+        );
+        assert(
+            typeof reason === "object" && reason !== null,
+            "The connection was closed with " + reason + "."
+        );
+    }).finally(function () {
+        pair.close();
+        pair.stop();
+    });
+}
+
+function test_tcp_conformance({tcp_transport}) {
+    return check_conformance(tcp_transport(), make_tcp_address);
+}
+
+const tests = [
+    ["requests and replies", test_requests],
+    ["asynchronous acknowledgements", test_async_acknowledge],
+    ["flow control", test_flow_control],
+    ["streams", test_streams],
+    ["cancelling a stream", test_stream_cancel],
+    ["automatic rekeying", test_automatic_rekey],
+    ["rekeying at both ends at once", test_rekey],
+    ["heartbeats and timeouts", test_heartbeats],
+    ["fragmented records", test_fragmented_records],
+    ["channels", test_channels],
+    ["values richer than JSON", test_rich_values],
+    ["compression", test_compression],
+    ["version and feature negotiation", test_negotiation],
+    ["resuming sessions", test_resumption],
+    ["ephemeral key exchange", test_ephemeral],
+    ["connection IDs and keying material", test_keying_material],
+    ["introspection", test_introspection],
+    ["transport addresses", test_addresses],
+    ["redirect loops and limits", test_redirects],
+    ["reconnecting", test_reconnect],
+    ["malformed Hello", test_malformed_hello],
+    ["Hello blobs that would overflow", test_hello_blobs],
+    ["decompression limit", test_decompression_limit],
+    ["exactly once delivery", test_exactly_once],
+    ["inboxes keep senders apart", test_inbox_senders],
+    ["refusal without a reason", test_refusal],
+    ["sending while closing", test_closing],
+    ["closing gracefully", test_graceful_close],
+    ["messages sent before opening", test_waiting_messages],
+    ["corrupted records", test_corruption],
+    [
+        "memory transport conformance despite faults",
+        test_faulty_conformance,
+        conformance_timeout
+    ],
+    [
+        "memory transport conformance",
+        test_memory_conformance,
+        conformance_timeout
+    ],
+    [
+        "TCP transport conformance",
+        test_tcp_conformance,
+        conformance_timeout
+    ]
+];
+
+function run(webcrypto, tcp_transport) {
+    const elliptic = make_elliptic(webcrypto);
+    return Promise.all([
+        elliptic.generate_keypair(),
+        elliptic.generate_keypair(),
+        elliptic.generate_keypair()
+    ]).then(function ([alice, bob, mallory]) {
+        const parties = {webcrypto, alice, bob, mallory, tcp_transport};
+        let nr_failed = 0;
+        return tests.reduce(function (
+            previous,
+            [name, test, test_timeout = timeout]
+        ) {
+            return previous.then(function () {
+                let timer;
+                return Promise.race([
+                    Promise.resolve(parties).then(test),
+                    new Promise(function (ignore, reject) {
+                        timer = setTimeout(function () {
+                            reject(new Error("Timed out."));
+                        }, test_timeout);
+                    })
+                ]).then(
+                    function () {
+                        console.log("passed", name);
+                    },
+                    function (reason) {
+                        nr_failed += 1;
+                        console.log("FAILED", name, reason);
+                    }
+                ).finally(function () {
+                    clearTimeout(timer);
+                });
+            });
+        }, Promise.resolve()).then(function () {
+            return nr_failed;
+        });
+    });
+}
+
+const is_deno = typeof Deno === "object";
+
+// The WebCrypto object and the TCP transport depend on the runtime.
+
+Promise.all(
+    is_deno
+    ? [globalThis.crypto, import("./transport/deno_tcp_transport.js")]
+    : [
+        import("node:crypto").then(function (module) {
+            return module.webcrypto;
+        }),
+        import("./transport/node_tcp_transport.js")
+    ]
+).then(function ([webcrypto, tcp_module]) {
+    return run(webcrypto, tcp_module.default);
+}).then(function (nr_failed) {
+    if (nr_failed > 0) {
+        if (is_deno) {
+            Deno.exit(1);
+        }
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,465 @@
+// This module exports a function that checks whether a transport keeps to the
+// contract described at the top of protocol.js. Run it against any transport
+// you write, as well as those bundled with WebSeif.
+
+//  conformance(transport, make_address, timeout)
+//      The 'transport' is an object with 'listen' and 'connect' functions, as
+//      returned by a transport constructor. A transport that can only listen
+//      or only connect may be paired with another, by making an object with
+//      the 'listen' function of one and the 'connect' function of the other.
+
+//      The 'make_address' function is called with no arguments, and returns
+//      an address that nobody is listening on. Each check listens on a fresh
+//      address.
+
+//      The 'timeout' is the number of milliseconds to wait for something to
+//      happen before the check fails. Defaults to 5000.
+
+//      The checks are run one after another. The returned Promise resolves to
+//      an array containing an object for each check, with these properties:
+
+//          name
+//              A string describing the check.
+
+//          passed
+//              A boolean indicating whether the transport passed the check.
+
+//          reason
+//              If the check failed, an Error explaining why.
+
+// For example:
+
+//      import conformance from "./transport/conformance.js";
+//      import make_transport from "./transport/node_tcp_transport.js";
+//      let port = 9000;
+//      conformance(make_transport(), function make_address() {
+//          port += 1;
+//          return "127.0.0.1:" + port;
+//      }).then(function (results) {
+//          results.forEach(function ({name, passed, reason}) {
+//              console.log(passed, name, reason);
+//          });
+//      });
+
+/*jslint browser */
+
+// Once a connection is closed, we wait 'settle_time' milliseconds for any
+// callbacks that ought not to arrive.
+
+const settle_time = 200;
+
+// The sizes of the chunks sent by the "ordering and integrity" check.
+
+const chunk_sizes = [1, 1000, 65536, 300000, 7, 16384];
+
+function wait(milliseconds) {
+    return new Promise(function (resolve) {
+        return setTimeout(resolve, milliseconds);
+    });
+}
+
+function make_pattern(length, seed) {
+
+// Make some bytes that are unlikely to be confused with any others.
+
+    return new Uint8Array(length).map(function (ignore, byte_nr) {
+        return (byte_nr * 31 + seed * 7 + Math.floor(byte_nr / 251)) % 256;
+    });
+}
+
+function concat(arrays) {
+    const bytes = new Uint8Array(arrays.reduce(function (length, array) {
+        return length + array.length;
+    }, 0));
+    let position = 0;
+    arrays.forEach(function (array) {
+        bytes.set(array, position);
+        position += array.length;
+    });
+    return bytes;
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function make_observer(timeout) {
+
+// An observer records every callback made by the transport, for each side of
+// the connection: "listening" or "connecting". It also keeps a running total of
+// the bytes received by each side.
+
+    let events = [];
+    let waiters = [];
+    let totals = Object.create(null);
+
+    function callbacks(side) {
+        totals[side] = 0;
+        return ["open", "receive", "close", "drain"].map(function (kind) {
+            return function (connection, value) {
+                events.push({side, kind, connection, value});
+                if (kind === "receive") {
+                    totals[side] += value?.byteLength ?? 0;
+                }
+                waiters = waiters.filter(function (waiter) {
+                    if (waiter.predicate()) {
+                        waiter.resolve();
+                        return false;
+                    }
+                    return true;
+                });
+            };
+        });
+    }
+
+    function select(side, kind) {
+        return events.filter(function (event) {
+            return (
+                event.side === side
+                && (kind === undefined || event.kind === kind)
+            );
+        });
+    }
+
+    function count(side, kind) {
+        return select(side, kind).length;
+    }
+
+    function total(side) {
+        return totals[side];
+    }
+
+    function until(description, predicate) {
+        return new Promise(function (resolve, reject) {
+            if (predicate()) {
+                return resolve();
+            }
+            const waiter = {predicate, resolve};
+            waiters.push(waiter);
+            setTimeout(function () {
+                if (waiters.includes(waiter)) {
+                    waiters = waiters.filter(function (a_waiter) {
+                        return a_waiter !== waiter;
+                    });
+                    reject(new Error(
+                        "Timed out waiting for " + description + "."
+                    ));
+                }
+            }, timeout);
+        });
+    }
+
+    function quiet(side, description) {
+
+// Fail if any callbacks are made for the 'side' during the settle time.
+
+        const nr_events = count(side);
+        return wait(settle_time).then(function () {
+            const event = select(side)[nr_events];
+            assert(
+                event === undefined,
+                "The " + side + " side's on_" + event?.kind
+                + " was called after " + description + "."
+            );
+        });
+    }
+
+    return Object.freeze({callbacks, select, count, total, until, quiet});
+}
+
+function open_pair(transport, address, observer) {
+
+// Listen on the 'address', and connect to it. The returned Promise resolves to
+// an object containing the 'stop' and 'close' functions, and the connection
+// objects at each end, once both ends are open.
+
+    const stop = transport.listen(address, ...observer.callbacks("listening"));
+    return wait(settle_time).then(function () {
+        const close = transport.connect(
+            address,
+            ...observer.callbacks("connecting")
+        );
+        return observer.until("both ends to open", function () {
+            return (
+                observer.count("listening", "open") === 1
+                && observer.count("connecting", "open") === 1
+            );
+        }).then(function () {
+            return {
+                stop,
+                close,
+                listening: observer.select("listening", "open")[0].connection,
+                connecting: observer.select("connecting", "open")[0].connection
+            };
+        }, function (reason) {
+            close();
+            throw reason;
+        });
+    }).catch(function (reason) {
+        stop();
+        throw reason;
+    });
+}
+
+function stream(observer, from, to, seed) {
+
+// Send chunks of various sizes from the 'from' connection, and check that the
+// same bytes arrive in the same order at the 'to' side, as ArrayBuffers.
+
+    const chunks = chunk_sizes.map(function (size, chunk_nr) {
+        return make_pattern(size, seed + chunk_nr);
+    });
+    const expected = concat(chunks);
+    const nr_received = observer.count(to, "receive");
+    const goal = observer.total(to) + expected.length;
+    chunks.forEach(function (chunk) {
+        from.send(chunk.slice().buffer);
+    });
+
+    function received() {
+        return observer.select(to, "receive").slice(nr_received).map(
+            function (event) {
+                return event.value;
+            }
+        );
+    }
+
+    return observer.until("the " + to + " side to receive", function () {
+        return observer.total(to) >= goal;
+    }).then(function () {
+        const buffers = received();
+        assert(
+            buffers.every(function (buffer) {
+                return buffer?.constructor === ArrayBuffer;
+            }),
+            "A chunk received by the " + to + " side is not an ArrayBuffer."
+        );
+        const actual = concat(buffers.map(function (buffer) {
+            return new Uint8Array(buffer);
+        }));
+        assert(
+            actual.length === expected.length,
+            "The " + to + " side received " + actual.length
+            + " bytes instead of " + expected.length + "."
+        );
+        assert(
+            actual.every(function (byte, byte_nr) {
+                return byte === expected[byte_nr];
+            }),
+            "The " + to + " side received the wrong bytes."
+        );
+    });
+}
+
+function check_opening(transport, address, observer) {
+    return open_pair(transport, address, observer).then(function (pair) {
+        [pair.listening, pair.connecting].forEach(function (connection) {
+            assert(
+                typeof connection?.send === "function"
+                && typeof connection?.close === "function",
+                "A connection lacks a 'send' or 'close' method."
+            );
+        });
+        return wait(settle_time).then(function () {
+            assert(
+                observer.count("listening", "close") === 0
+                && observer.count("connecting", "close") === 0,
+                "A connection closed unexpectedly."
+            );
+            pair.close();
+            pair.stop();
+        });
+    });
+}
+
+function check_ordering(transport, address, observer) {
+    return open_pair(transport, address, observer).then(function (pair) {
+        return stream(
+            observer,
+            pair.connecting,
+            "listening",
+            1
+        ).then(function () {
+            return stream(observer, pair.listening, "connecting", 2);
+        }).then(function () {
+            assert(
+                observer.select("listening", "receive").concat(
+                    observer.select("connecting", "receive")
+                ).every(function (event) {
+                    return event.connection === (
+                        event.side === "listening"
+                        ? pair.listening
+                        : pair.connecting
+                    );
+                }),
+                "A chunk was received with the wrong connection object."
+            );
+        }).finally(function () {
+            pair.close();
+            pair.stop();
+        });
+    });
+}
+
+function check_closing(closer, closed) {
+
+// Make a check that the 'closed' side learns of a connection being closed by
+// the 'closer' side. A clean close has no reason. The closing side must hear
+// nothing more.
+
+    return function (transport, address, observer) {
+        return open_pair(transport, address, observer).then(function (pair) {
+            pair[closer].close();
+            return Promise.all([
+                observer.quiet(closer, "closing"),
+                observer.until(
+                    "the " + closed + " side to close",
+                    function () {
+                        return observer.count(closed, "close") > 0;
+                    }
+                ).then(function () {
+                    return wait(settle_time);
+                })
+            ]).then(function () {
+                const [event, ...more] = observer.select(closed, "close");
+                assert(
+                    event.value === undefined,
+                    "A clean close was reported with a reason."
+                );
+                assert(
+                    more.length === 0,
+                    "The " + closed + " side's on_close was called twice."
+                );
+            }).finally(function () {
+                pair.close();
+                pair.stop();
+            });
+        });
+    };
+}
+
+function check_cancelling(transport, address, observer) {
+
+// Calling the function returned by 'connect' closes the connection, whether or
+// not it has opened yet.
+
+    return open_pair(transport, address, observer).then(function (pair) {
+        pair.close();
+        return Promise.all([
+            observer.quiet("connecting", "the close function was called"),
+            observer.until("the listening side to close", function () {
+                return observer.count("listening", "close") > 0;
+            })
+        ]).then(function () {
+            const close = transport.connect(
+                address,
+                ...observer.callbacks("cancelled")
+            );
+            close();
+            return wait(settle_time);
+        }).then(function () {
+            assert(
+                observer.count("cancelled") === 0,
+                "A callback was called for a connection that was cancelled"
+                + " before it opened."
+            );
+        }).finally(
+            pair.stop
+        );
+    });
+}
+
+function check_stopping(transport, address, observer) {
+
+// Stopping closes every connection and stops listening. The listening side
+// must hear nothing more.
+
+    return open_pair(transport, address, observer).then(function (pair) {
+        pair.stop();
+        return Promise.all([
+            observer.quiet("listening", "stopping"),
+            observer.until("the connecting side to close", function () {
+                return observer.count("connecting", "close") > 0;
+            })
+        ]).then(function () {
+            transport.connect(address, ...observer.callbacks("refused"));
+            return observer.until("a connection to be refused", function () {
+                return observer.count("refused", "close") > 0;
+            });
+        }).then(function () {
+            assert(
+                observer.count("refused", "open") === 0,
+                "A connection opened after listening stopped."
+            );
+            return observer.quiet("listening", "stopping");
+        }).finally(
+            pair.close
+        );
+    });
+}
+
+function check_reporting(transport, address, observer) {
+
+// A failure to connect is reported to 'on_close' with a reason.
+
+    let close;
+    return Promise.resolve().then(function () {
+        close = transport.connect(address, ...observer.callbacks("connecting"));
+        return observer.until("the connection to fail", function () {
+            return observer.count("connecting", "close") > 0;
+        });
+    }).then(function () {
+        assert(
+            observer.count("connecting", "open") === 0,
+            "A connection opened to an address nobody is listening on."
+        );
+        assert(
+            observer.select("connecting", "close")[0].value !== undefined,
+            "A failure to connect was reported without a reason."
+        );
+        return observer.quiet("connecting", "failing");
+    }).finally(function () {
+        close?.();
+    });
+}
+
+const checks = [
+    ["opening", check_opening],
+    ["ordering and integrity", check_ordering],
+    [
+        "closing by the connecting side",
+        check_closing("connecting", "listening")
+    ],
+    [
+        "closing by the listening side",
+        check_closing("listening", "connecting")
+    ],
+    ["cancelling", check_cancelling],
+    ["stopping", check_stopping],
+    ["reporting errors", check_reporting]
+];
+
+function conformance(transport, make_address, timeout = 5000) {
+    let results = [];
+    return checks.reduce(function (previous, [name, check]) {
+        return previous.then(function () {
+            const observer = make_observer(timeout);
+            return Promise.resolve().then(function () {
+                return check(transport, make_address(), observer);
+            }).then(
+                function () {
+                    results.push({name, passed: true});
+                },
+                function (reason) {
+                    results.push({name, passed: false, reason});
+                }
+            );
+        });
+    }, Promise.resolve()).then(function () {
+        return results;
+    });
+}
+
+export default Object.freeze(conformance);
@@ -1,7 +1,8 @@
 // A WebSeif transport that uses Deno's TCP capabilities.
 
 // The address parameter of both the 'listen' and 'connect' functions must be a
-// string of the form <ip_address>:<port>.
+// string of the form <ip_address>:<port>. Connections report their local and
+// remote addresses in the same form.
 
 /*jslint deno */
 
@@ -15,12 +16,70 @@ function parse_address(address) {
     };
 }
 
-function connect(address, on_open, on_receive, on_close) {
+function format_address({hostname, port}) {
+
+// IPv6 addresses are enclosed in square brackets, to set them apart from the
+// port.
+
+    return (
+        hostname.includes(":")
+        ? "[" + hostname + "]:" + port
+        : hostname + ":" + port
+    );
+}
+
+function make_writer(socket, on_drain, on_fail) {
+
+// Deno's 'socket.write' method may write only part of the buffer, so it must
+// be called repeatedly. The 'make_writer' function returns an object that
+// writes buffers to the 'socket' in full and in order, keeping count of the
+// bytes that are yet to be written. The 'on_drain' function is called whenever
+// the count falls to zero.
+
+    let queue = Promise.resolve();
+    let buffered_amount = 0;
+
+    function write_all(bytes) {
+        return socket.write(bytes).then(function (nr_bytes) {
+            buffered_amount -= nr_bytes;
+            if (nr_bytes < bytes.byteLength) {
+                return write_all(bytes.subarray(nr_bytes));
+            }
+        });
+    }
+
+    return Object.freeze({
+        write(buffer) {
+            const bytes = new Uint8Array(buffer);
+            buffered_amount += bytes.byteLength;
+            queue = queue.then(function () {
+                return write_all(bytes);
+            }).then(function () {
+                if (buffered_amount === 0) {
+                    return on_drain();
+                }
+            }).catch(
+                on_fail
+            );
+        },
+        buffered_amount() {
+            return buffered_amount;
+        }
+    });
+}
+
+function connect(address, on_open, on_receive, on_close, on_drain) {
     let connection;
     Deno.connect(
         parse_address(address)
     ).then(
         function (socket) {
+
+// If 'close' was called while we were connecting, we hang up straight away.
+
+            if (on_close === undefined) {
+                return socket.close();
+            }
             function fail(reason) {
                 if (on_close !== undefined) {
                     socket.close();
@@ -28,20 +87,33 @@ function connect(address, on_open, on_receive, on_close) {
                     on_close = undefined;
                 }
             }
-            connection = Object.freeze({
-                send(buffer) {
-                    socket.write(new Uint8Array(buffer)).catch(fail);
+            const writer = make_writer(
+                socket,
+                function () {
+                    if (on_close !== undefined) {
+                        return on_drain?.(connection);
+                    }
                 },
+                fail
+            );
+            connection = Object.freeze({
+                send: writer.write,
                 close() {
                     if (on_close !== undefined) {
                         socket.close();
                         on_close = undefined;
                     }
-                }
+                },
+                buffered_amount: writer.buffered_amount,
+                local_address: format_address(socket.localAddr),
+                remote_address: format_address(socket.remoteAddr)
             });
             (function wait_for_next_chunk() {
                 const scratch = new Uint8Array(chunk_size);
                 return socket.read(scratch).then(function (nr_bytes) {
+                    if (on_close === undefined) {
+                        return;
+                    }
                     if (nr_bytes) {
                         on_receive(
                             connection,
@@ -59,7 +131,10 @@ function connect(address, on_open, on_receive, on_close) {
             return on_open(connection);
         }
     ).catch(function (reason) {
-        on_close(undefined, reason);
+        if (on_close !== undefined) {
+            on_close(undefined, reason);
+            on_close = undefined;
+        }
     });
     return function close() {
         if (on_close !== undefined) {
@@ -71,7 +146,7 @@ function connect(address, on_open, on_receive, on_close) {
     };
 }
 
-function listen(address, on_open, on_receive, on_close) {
+function listen(address, on_open, on_receive, on_close, on_drain) {
     let listener = Deno.listen(parse_address(address));
     let registrations = [];
 
@@ -89,21 +164,34 @@ function listen(address, on_open, on_receive, on_close) {
                 unregister();
             }
         }
-        connection = Object.freeze({
-            send(buffer) {
-                socket.write(new Uint8Array(buffer)).catch(fail);
+        const writer = make_writer(
+            socket,
+            function () {
+                if (registrations.includes(connection)) {
+                    return on_drain?.(connection);
+                }
             },
+            fail
+        );
+        connection = Object.freeze({
+            send: writer.write,
             close() {
                 if (registrations.includes(connection)) {
                     socket.close();
                     unregister();
                 }
-            }
+            },
+            buffered_amount: writer.buffered_amount,
+            local_address: format_address(socket.localAddr),
+            remote_address: format_address(socket.remoteAddr)
         });
         registrations.push(connection);
         (function wait_for_next_chunk() {
             const scratch = new Uint8Array(chunk_size);
             return socket.read(scratch).then(function (nr_bytes) {
+                if (!registrations.includes(connection)) {
+                    return;
+                }
                 if (nr_bytes) {
                     on_receive(
                         connection,
@@ -111,15 +199,15 @@ function listen(address, on_open, on_receive, on_close) {
                     );
                     wait_for_next_chunk();
                 } else {
-                    on_close(connection);
                     unregister();
+                    on_close(connection);
                 }
-            }).catch(function () {
+            }).catch(
 
-// The connection closed during the read.
+// If the connection was closed by us during the read, 'fail' does nothing.
 
-                return fail();
-            });
+                fail
+            );
         }());
         return on_open(connection);
     }
@@ -133,13 +221,9 @@ function listen(address, on_open, on_receive, on_close) {
         ).catch(
             function (ignore) {
 
-// The listener.close function has just been called. Calling listener.close only
-// prevents the listener from accepting new connections. Any open sockets must
-// be closed explicitly.
+// The listener.close function has just been called.
 
-                return registrations.forEach(function (connection) {
-                    connection.close();
-                });
+                return;
             }
         );
     }());
@@ -152,6 +236,13 @@ function listen(address, on_open, on_receive, on_close) {
             listener.close();
             listener = undefined;
         }
+
+// Calling listener.close only prevents the listener from accepting new
+// connections. Any open sockets must be closed explicitly.
+
+        return registrations.forEach(function (connection) {
+            connection.close();
+        });
     };
 }
 
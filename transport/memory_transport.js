@@ -0,0 +1,300 @@
+// A WebSeif transport that connects parties within the same program, without
+// touching the network. It is intended for testing, and can be made to
+// misbehave in ways that are hard to provoke with a real network.
+
+// The address parameter of both the 'listen' and 'connect' functions may be
+// any string. Addresses are shared by every memory transport in the program, so
+// a memory transport may connect to a party listening with another.
+
+// The 'faults' parameter is an optional object. Each fault applies to the
+// chunks sent from the connections made by this transport, be they made by
+// 'listen' or 'connect'. Chunks travelling the other way are unaffected, unless
+// the transport at the other end has faults of its own. The faults are:
+
+//  fragment
+//      Either the most bytes to deliver at once, or a function that takes the
+//      length of a chunk and returns an array of the positions at which to cut
+//      it. Each piece of the chunk is delivered separately.
+
+//  coalesce
+//      If true, chunks sent in quick succession are joined together and
+//      delivered as one.
+
+//  delay
+//      The number of milliseconds it takes to deliver a chunk, or to open or
+//      close a connection. Defaults to 0.
+
+//  drop_after
+//      The number of bytes that may be sent over a connection before it fails,
+//      cutting off the chunk in which that happens. Both ends are closed with
+//      a "Connection dropped." error.
+
+//  corrupt
+//      An array of the positions, counting from the first byte sent over a
+//      connection, of bytes to corrupt by flipping their bits.
+
+//  accept
+//      If false, a listening transport never accepts a connection. The
+//      connecting party is left waiting until it gives up. Defaults to true.
+
+/*jslint browser, bitwise */
+
+let listeners = new Map();           // The listening transports, by address.
+
+function cut(bytes, fragment) {
+
+// Return an array of the pieces into which the 'bytes' are to be cut.
+
+    const positions = (
+        typeof fragment === "function"
+        ? fragment(bytes.length)
+        : new Array(Math.ceil(bytes.length / fragment)).fill(0).map(
+            function (ignore, piece_nr) {
+                return piece_nr * fragment;
+            }
+        )
+    );
+    const boundaries = [0, ...positions, bytes.length].filter(
+        function (position) {
+            return position >= 0 && position <= bytes.length;
+        }
+    ).sort(function (a, b) {
+        return a - b;
+    });
+    return boundaries.slice(1).map(function (end, piece_nr) {
+        return bytes.slice(boundaries[piece_nr], end);
+    });
+}
+
+function memory_transport(faults = {}) {
+    const {
+        fragment,
+        coalesce = false,
+        delay = 0,
+        drop_after = Infinity,
+        corrupt = [],
+        accept = true
+    } = faults;
+
+    function make_end(
+        local_address,
+        remote_address,
+        on_receive,
+        on_close,
+        on_drain
+    ) {
+
+// Make one end of a connection. The 'peer' is the other end. The 'closed'
+// variable is true once our callbacks must not be called again, and 'ended' is
+// true once nothing more may be sent.
+
+        let peer;
+        let closed = false;
+        let ended = false;
+        let nr_bytes_sent = 0;
+        let buffered_amount = 0;
+        let coalesced = [];
+        let connection;
+
+        function schedule(callback) {
+            setTimeout(callback, delay);
+        }
+
+        function receive(chunk) {
+            if (!closed) {
+                return on_receive(connection, chunk);
+            }
+        }
+
+        function finish(reason) {
+            ended = true;
+            if (!closed) {
+                closed = true;
+                return on_close(connection, reason);
+            }
+        }
+
+        function transmit(bytes) {
+            buffered_amount -= bytes.length;
+            const pieces = (
+                fragment === undefined
+                ? [bytes]
+                : cut(bytes, fragment)
+            );
+            pieces.filter(function (piece) {
+                return piece.length > 0;
+            }).forEach(function (piece) {
+                peer.receive(piece.buffer);
+            });
+            if (buffered_amount === 0 && !closed) {
+                return on_drain?.(connection);
+            }
+        }
+
+        function flush() {
+
+// Join the coalesced chunks together, and transmit them as one.
+
+            const bytes = new Uint8Array(buffered_amount);
+            let position = 0;
+            coalesced.forEach(function (chunk) {
+                bytes.set(chunk, position);
+                position += chunk.length;
+            });
+            coalesced = [];
+            return transmit(bytes);
+        }
+
+        function send(chunk) {
+            if (ended) {
+                return;
+            }
+
+// Copy the chunk, so that we can corrupt it without upsetting the sender.
+
+            let bytes = new Uint8Array(chunk.slice(0));
+            corrupt.forEach(function (position) {
+                const offset = position - nr_bytes_sent;
+                if (offset >= 0 && offset < bytes.length) {
+                    bytes[offset] ^= 0xFF;
+                }
+            });
+            const dropped = nr_bytes_sent + bytes.length >= drop_after;
+            if (dropped) {
+                bytes = bytes.slice(0, drop_after - nr_bytes_sent);
+            }
+            nr_bytes_sent += bytes.length;
+            buffered_amount += bytes.length;
+            if (coalesce) {
+                if (coalesced.length === 0) {
+                    schedule(flush);
+                }
+                coalesced.push(bytes);
+            } else {
+                schedule(function () {
+                    return transmit(bytes);
+                });
+            }
+            if (dropped) {
+                ended = true;
+                schedule(function () {
+                    const reason = new Error("Connection dropped.");
+                    peer.finish(reason);
+                    return finish(reason);
+                });
+            }
+        }
+
+        function close() {
+
+// The other end learns of the close once everything we sent has arrived.
+
+            if (!ended) {
+                ended = true;
+                schedule(peer.finish);
+            }
+            closed = true;
+        }
+
+        connection = Object.freeze({
+            send,
+            close,
+            buffered_amount() {
+                return buffered_amount;
+            },
+            local_address,
+            remote_address
+        });
+        return Object.freeze({
+            connection,
+            receive,
+            finish,
+            link(the_peer) {
+                peer = the_peer;
+            },
+            is_closed() {
+                return closed;
+            }
+        });
+    }
+
+    function link(end, other_end) {
+        end.link(other_end);
+        other_end.link(end);
+    }
+
+    function listen(address, on_open, on_receive, on_close, on_drain) {
+        if (listeners.has(address)) {
+            throw new Error("Address in use.");
+        }
+        let ends = [];
+        const registration = Object.freeze({
+            accept,
+            open(connecting_end) {
+                const end = make_end(
+                    address,
+                    undefined,
+                    on_receive,
+                    on_close,
+                    on_drain
+                );
+                link(end, connecting_end);
+                ends = ends.filter(function (an_end) {
+                    return !an_end.is_closed();
+                }).concat(
+                    end
+                );
+                return on_open(end.connection);
+            }
+        });
+        listeners.set(address, registration);
+        return function stop() {
+            if (listeners.get(address) === registration) {
+                listeners.delete(address);
+            }
+            ends.forEach(function (end) {
+                end.connection.close();
+            });
+            ends = [];
+        };
+    }
+
+    function connect(address, on_open, on_receive, on_close, on_drain) {
+        let end;
+        let cancelled = false;
+        setTimeout(function () {
+            if (cancelled) {
+                return;
+            }
+            const registration = listeners.get(address);
+            if (registration === undefined) {
+                return on_close(undefined, new Error("Connection refused."));
+            }
+
+// A listener that never accepts leaves us hanging.
+
+            if (!registration.accept) {
+                return;
+            }
+            end = make_end(
+                undefined,
+                address,
+                on_receive,
+                on_close,
+                on_drain
+            );
+            registration.open(end);
+            return on_open(end.connection);
+        }, delay);
+        return function close() {
+            cancelled = true;
+            if (end !== undefined) {
+                end.connection.close();
+            }
+        };
+    }
+
+    return Object.freeze({listen, connect});
+}
+
+export default Object.freeze(memory_transport);
@@ -1,7 +1,8 @@
 // A WebSeif transport that uses Node.js's TCP capabilities.
 
 // The address parameter of both the 'listen' and 'connect' functions must be a
-// string of the form <ip_address>:<port>.
+// string of the form <ip_address>:<port>. Connections report their local and
+// remote addresses in the same form.
 
 /*jslint node */
 
@@ -15,29 +16,50 @@ function parse_address(address) {
     };
 }
 
-function connect(address, on_open, on_receive, on_close) {
+function format_address(host, port) {
+
+// IPv6 addresses are enclosed in square brackets, to set them apart from the
+// port.
+
+    if (host === undefined) {
+        return;
+    }
+    return (
+        host.includes(":")
+        ? "[" + host + "]:" + port
+        : host + ":" + port
+    );
+}
+
+function connect(address, on_open, on_receive, on_close, on_drain) {
     const {port, host} = parse_address(address);
     let connection;
-    let socket = net.connect(
+    let socket;
+
+    function fail(reason) {
+        if (on_close !== undefined) {
+            socket.destroy();
+            on_close(connection, reason);
+            on_close = undefined;
+        }
+    }
+
+    socket = net.connect(
         port,
         host,
-        function on_connected(reason) {
-            if (reason) {
-                return on_close(undefined, reason);
-            }
-            function fail(reason) {
-                if (on_close !== undefined) {
-                    socket.destroy();
-                    on_close(connection, reason);
-                    on_close = undefined;
-                }
-            }
+        function on_connected() {
             connection = Object.freeze({
                 send(buffer) {
                     socket.write(new Uint8Array(buffer), function (reason) {
                         if (reason) {
                             return fail(reason);
                         }
+                        if (
+                            socket.writableLength === 0
+                            && on_close !== undefined
+                        ) {
+                            return on_drain?.(connection);
+                        }
                     });
                 },
                 close() {
@@ -45,30 +67,45 @@ function connect(address, on_open, on_receive, on_close) {
                         socket.destroy();
                         on_close = undefined;
                     }
-                }
+                },
+                buffered_amount() {
+                    return socket.writableLength;
+                },
+                local_address: format_address(
+                    socket.localAddress,
+                    socket.localPort
+                ),
+                remote_address: format_address(
+                    socket.remoteAddress,
+                    socket.remotePort
+                )
             });
-            socket.on("error", fail);
             socket.on("data", function (chunk) {
                 on_receive(connection, chunk.buffer);
             });
             socket.on("end", function () {
-                on_close(connection);
-                on_close = undefined;
+                if (on_close !== undefined) {
+                    on_close(connection);
+                    on_close = undefined;
+                }
             });
             return on_open(connection);
         }
     );
+
+// Errors are reported from the outset, so that a failure to connect is passed
+// to 'on_close' rather than thrown.
+
+    socket.on("error", fail);
     return function close() {
         if (on_close !== undefined) {
-            if (connection !== undefined) {
-                connection.close();
-            }
+            socket.destroy();
             on_close = undefined;
         }
     };
 }
 
-function listen(address, on_open, on_receive, on_close) {
+function listen(address, on_open, on_receive, on_close, on_drain) {
     let registrations = [];
     const server = net.createServer(function on_socket_connected(socket) {
         let connection;
@@ -93,6 +130,12 @@ function listen(address, on_open, on_receive, on_close) {
                     if (reason) {
                         return fail(reason);
                     }
+                    if (
+                        socket.writableLength === 0
+                        && registrations.includes(connection)
+                    ) {
+                        return on_drain?.(connection);
+                    }
                 });
             },
             close() {
@@ -100,7 +143,18 @@ function listen(address, on_open, on_receive, on_close) {
                     socket.destroy();
                     unregister();
                 }
-            }
+            },
+            buffered_amount() {
+                return socket.writableLength;
+            },
+            local_address: format_address(
+                socket.localAddress,
+                socket.localPort
+            ),
+            remote_address: format_address(
+                socket.remoteAddress,
+                socket.remotePort
+            )
         });
         registrations.push(connection);
         socket.on("error", fail);
@@ -108,7 +162,10 @@ function listen(address, on_open, on_receive, on_close) {
             on_receive(connection, chunk.buffer);
         });
         socket.on("end", function () {
-            on_close(connection);
+            if (registrations.includes(connection)) {
+                unregister();
+                on_close(connection);
+            }
         });
         return on_open(connection);
     });
@@ -11,6 +11,21 @@ import crypto from "node:crypto";
 import http from "node:http";
 import https from "node:https";
 
+function format_address(host, port) {
+
+// IPv6 addresses are enclosed in square brackets, to set them apart from the
+// port.
+
+    if (host === undefined) {
+        return;
+    }
+    return (
+        host.includes(":")
+        ? "[" + host + "]:" + port
+        : host + ":" + port
+    );
+}
+
 // The 'make_frame' and 'websocketify' functions constitute a minimal WebSockets
 // server implementation for Node.js.
 
@@ -48,7 +63,7 @@ function make_frame(opcode, payload) {
     return Buffer.concat([zeroth_byte, length_bytes, payload]);
 }
 
-function websocketify(server, on_open, on_receive, on_close) {
+function websocketify(server, on_open, on_receive, on_close, on_drain) {
 
 // The 'websocketify' function empowers an HTTP server to send and receive
 // WebSocket messages. The following callbacks must be provided:
@@ -64,8 +79,12 @@ function websocketify(server, on_open, on_receive, on_close) {
 //      Called when an existing connection is closed. A reason might be
 //      provided.
 
+//  on_drain(connection)
+//      Called when every message sent over the connection has been written.
+
 // Each callback takes a 'connection' parameter, which is a frozen object
-// unique to a particular connection. It contains the following methods:
+// unique to a particular connection. It contains the following methods and
+// properties:
 
 //  send(message)
 //      Sends a message. It should be a string or an ArrayBuffer.
@@ -74,15 +93,30 @@ function websocketify(server, on_open, on_receive, on_close) {
 //      Closes the connection. The 'reason' parameter will be passed to the
 //      on_close callback.
 
-    let sockets = Object.create(null);
+//  buffered_amount()
+//      Returns the number of bytes waiting to be written.
+
+//  local_address
+//  remote_address
+//      The addresses of each end of the underlying TCP connection, in the form
+//      <ip_address>:<port>.
+
+//  headers
+//      The headers of the HTTP request that was upgraded to a WebSocket, as an
+//      object with lowercase header names.
+
+// Once a connection has been closed, no more callbacks are made for it. The
+// 'websocketify' function returns a function that closes every connection.
+
+    let connections = Object.create(null);
     let next_socket_id = 0;
     server.on("upgrade", function (req, socket) {
 
 // Assign a unique ID to the socket.
 
         const socket_id = next_socket_id;
-        sockets[socket_id] = socket;
         next_socket_id += 1;
+        let closed = false;
 
 // Create a public interface for the socket.
 
@@ -99,12 +133,37 @@ function websocketify(server, on_open, on_receive, on_close) {
 // instance without any copying.
 
                     Buffer.from(payload)
-                ));
+                ), function (reason) {
+                    if (!reason && socket.writableLength === 0 && !closed) {
+                        return on_drain(connection);
+                    }
+                });
             },
             close() {
-                socket.destroy();
-            }
+
+// Begin the closing handshake. The client is expected to reply in kind, and
+// then we destroy the socket. The status code 1000 means a normal closure.
+
+                if (!closed) {
+                    closed = true;
+                    delete connections[socket_id];
+                    socket.end(make_frame(0x8, Buffer.from([0x03, 0xE8])));
+                }
+            },
+            buffered_amount() {
+                return socket.writableLength;
+            },
+            local_address: format_address(
+                socket.localAddress,
+                socket.localPort
+            ),
+            remote_address: format_address(
+                socket.remoteAddress,
+                socket.remotePort
+            ),
+            headers: req.headers
         });
+        connections[socket_id] = connection;
 
 // The WebSocket protocol requires that we compute the hash of a nonce provided
 // by the request. This is stupid, why can't we just use the value of the nonce
@@ -130,6 +189,7 @@ function websocketify(server, on_open, on_receive, on_close) {
         let buffer = Buffer.alloc(0);
         let payload_fragment;
         let textual;
+        let close_reason;
 
         function consume_buffer() {
 
@@ -222,7 +282,14 @@ function websocketify(server, on_open, on_receive, on_close) {
 //  0xA denotes a pong
 //  0xB-F are reserved for further control frames
 
-            if (opcode === 0x1 || opcode === 0x2) {
+            if (closed) {
+
+// Once the connection is closed, we await only the client's Close frame.
+
+                if (opcode === 0x8) {
+                    socket.destroy();
+                }
+            } else if (opcode === 0x1 || opcode === 0x2) {
                 textual = (opcode === 0x1);
                 if (fin) {
                     on_receive(
@@ -254,10 +321,17 @@ function websocketify(server, on_open, on_receive, on_close) {
 // ping that triggered it.
 
                 socket.write(make_frame(0xA, payload));
+            } else if (opcode === 0x8) {
+
+// The client has begun the closing handshake. We reply with a Close frame of
+// our own, echoing the status code, and close the TCP connection.
+
+                socket.end(make_frame(0x8, payload.slice(0, 2)));
             } else {
 
-// Any other opcode closes the connection. This includes the "close" opcode.
+// Any other opcode closes the connection.
 
+                close_reason = new Error("Unexpected opcode " + opcode + ".");
                 socket.destroy();
             }
 
@@ -273,16 +347,23 @@ function websocketify(server, on_open, on_receive, on_close) {
 
 // The "close" event always follows an "error" event.
 
-        let close_reason;
         socket.on("error", function (error) {
             close_reason = error;
         });
         socket.on("close", function () {
-            delete sockets[socket_id];
-            return on_close(connection, close_reason);
+            if (!closed) {
+                closed = true;
+                delete connections[socket_id];
+                return on_close(connection, close_reason);
+            }
         });
         return on_open(connection);
     });
+    return function close_all() {
+        Object.values(connections).forEach(function (connection) {
+            connection.close();
+        });
+    };
 }
 
 function node_websockets_transport(https_server_options) {
@@ -291,40 +372,38 @@ function node_websockets_transport(https_server_options) {
         throw new Error("Not implemented.");
     }
 
-    function listen(address, on_open, on_receive, on_close) {
-        let connections = [];
+    function listen(address, on_open, on_receive, on_close, on_drain) {
         const {protocol, hostname, port} = new URL(address);
         const server = (
             protocol === "wss:"
             ? https.createServer(https_server_options)
             : http.createServer()
         );
-        websocketify(
+        const close_all = websocketify(
             server,
             function on_connection_open(connection) {
-                connections.push(connection);
+                if (on_close === undefined) {
+                    return connection.close();
+                }
                 return on_open(connection);
             },
             on_receive,
             function on_connection_close(connection, reason) {
-
-// Unregister the connection.
-
-                connections = connections.filter(function (a_connection) {
-                    return a_connection !== connection;
-                });
                 if (on_close !== undefined) {
                     on_close(connection, reason);
                 }
+            },
+            function on_connection_drain(connection) {
+                if (on_close !== undefined) {
+                    return on_drain?.(connection);
+                }
             }
         );
         server.listen(port, hostname);
         return function stop() {
             if (on_close !== undefined) {
                 server.close();
-                connections.forEach(function (connection) {
-                    connection.close();
-                });
+                close_all();
                 on_close = undefined;
             }
         };
@@ -10,36 +10,104 @@
 // parameter, specifying the certificate and key, is passed on to
 // Deno.listenTls.
 
+// The connections made by 'listen' report the local and remote addresses of the
+// underlying TCP connection, in the form <ip_address>:<port>, as well as the
+// headers of the HTTP request that was upgraded to a WebSocket. The headers are
+// an object with lowercase header names.
+
 /*jslint browser, deno */
 
+const drain_interval = 50;
+
+function format_address({hostname, port}) {
+
+// IPv6 addresses are enclosed in square brackets, to set them apart from the
+// port.
+
+    return (
+        hostname.includes(":")
+        ? "[" + hostname + "]:" + port
+        : hostname + ":" + port
+    );
+}
+
+function watch_drain(socket, on_drain) {
+
+// WebSockets do not emit an event when their send buffer empties, so we poll
+// the 'bufferedAmount' property instead. The 'watch_drain' function returns a
+// function that should be called after each send. It calls 'on_drain' once the
+// buffer is empty.
+
+    let polling = false;
+
+    function poll() {
+        if (socket.bufferedAmount > 0 && socket.readyState === 1) {
+            return setTimeout(poll, drain_interval);
+        }
+        polling = false;
+        return on_drain();
+    }
+
+    return function watch() {
+        if (!polling) {
+            polling = true;
+            setTimeout(poll);
+        }
+    };
+}
+
 function websockets_transport(listen_tls_options) {
 
-    function connect(address, on_open, on_receive, on_close) {
+    function connect(address, on_open, on_receive, on_close, on_drain) {
         const socket = new WebSocket(address);
-        const connection = Object.freeze({
+        let connection;
+
+// Receiving messages as ArrayBuffers, rather than Blobs, keeps them in order.
+
+        socket.binaryType = "arraybuffer";
+        const watch = watch_drain(socket, function () {
+            if (on_close !== undefined) {
+                return on_drain?.(connection);
+            }
+        });
+        connection = Object.freeze({
             send(buffer) {
                 socket.send(buffer);
+                watch();
             },
             close() {
+                on_close = undefined;
                 socket.close();
+            },
+            buffered_amount() {
+                return socket.bufferedAmount;
             }
         });
         socket.onopen = function () {
-            return on_open(connection);
+            if (on_close !== undefined) {
+                return on_open(connection);
+            }
         };
         socket.onmessage = function (event) {
-            const blob = event.data;
-            return blob.arrayBuffer().then(
-                function (buffer) {
-                    if (on_close !== undefined) {
-                        on_receive(connection, buffer);
-                    }
-                }
-            );
+            if (on_close !== undefined) {
+                return on_receive(connection, event.data);
+            }
         };
-        socket.onclose = function () {
+        socket.onclose = function (event) {
+
+// A connection that ends without a closing handshake has failed, even if no
+// error was reported.
+
             if (on_close !== undefined) {
-                on_close(connection);
+                on_close(
+                    connection,
+                    (
+                        event.wasClean
+                        ? undefined
+                        : event
+                    )
+                );
+                on_close = undefined;
             }
         };
         socket.onerror = function (event) {
@@ -54,7 +122,7 @@ function websockets_transport(listen_tls_options) {
         };
     }
 
-    function listen(address, on_open, on_receive, on_close) {
+    function listen(address, on_open, on_receive, on_close, on_drain) {
         let listener;
         let sockets = [];
 
@@ -62,17 +130,30 @@ function websockets_transport(listen_tls_options) {
             return listener.accept().then(
                 function (tcp_connection) {
                     wait_for_next_connection();
-                    return Deno.serveHttp(tcp_connection).nextRequest();
+                    return Deno.serveHttp(tcp_connection).nextRequest().then(
+                        function (request_event) {
+                            return [tcp_connection, request_event];
+                        }
+                    );
                 }
             ).then(
-                function ({request, respondWith}) {
+                function ([tcp_connection, {request, respondWith}]) {
                     const {socket, response} = Deno.upgradeWebSocket(request);
                     function unregister() {
                         sockets = sockets.filter(function (element) {
                             return element !== socket;
                         });
                     }
-                    const connection = Object.freeze({
+                    let connection;
+                    const watch = watch_drain(socket, function () {
+                        if (
+                            sockets.includes(socket)
+                            && on_close !== undefined
+                        ) {
+                            return on_drain?.(connection);
+                        }
+                    });
+                    connection = Object.freeze({
                         send(buffer) {
 
 // The socket.onclose handler seems to be called some time after the socket is
@@ -85,6 +166,7 @@ function websockets_transport(listen_tls_options) {
 
                             if (socket.readyState !== 3) {
                                 socket.send(buffer);
+                                watch();
                             }
                         },
                         close() {
@@ -92,14 +174,32 @@ function websockets_transport(listen_tls_options) {
                                 unregister();
                                 socket.close();
                             }
-                        }
+                        },
+                        buffered_amount() {
+                            return socket.bufferedAmount;
+                        },
+                        local_address: format_address(
+                            tcp_connection.localAddr
+                        ),
+                        remote_address: format_address(
+                            tcp_connection.remoteAddr
+                        ),
+                        headers: Object.fromEntries(request.headers)
                     });
                     socket.onopen = function () {
+                        if (on_close === undefined) {
+                            return socket.close();
+                        }
                         sockets.push(socket);
                         return on_open(connection);
                     };
                     socket.onmessage = function (event) {
-                        return on_receive(connection, event.data);
+                        if (
+                            sockets.includes(socket)
+                            && on_close !== undefined
+                        ) {
+                            return on_receive(connection, event.data);
+                        }
                     };
                     function close_if_open(reason) {
                         if (
@@ -110,8 +210,12 @@ function websockets_transport(listen_tls_options) {
                             on_close(connection, reason);
                         }
                     }
-                    socket.onclose = function () {
-                        close_if_open();
+                    socket.onclose = function (event) {
+                        close_if_open(
+                            event.wasClean
+                            ? undefined
+                            : event
+                        );
                     };
                     socket.onerror = function (event) {
                         close_if_open(event);